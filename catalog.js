@@ -0,0 +1,437 @@
+/* ===============================================
+   PIERUCCINI SEGUROS - Product Catalog
+   Renders products.json into index.html: the product
+   cards and pages, the insurance types and extra fields
+   of the quote form and the footer product links; the
+   product copy goes into i18n.js and locales/*.json
+   Run with: node catalog.js after editing products.json
+   (node catalog.js --check only reports whether
+   those files are up to date)
+   =============================================== */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_LOCALE, LOCALES, messages } = require('./i18n');
+
+const ROOT_DIR = __dirname;
+const CATALOG_FILE = path.join(ROOT_DIR, 'products.json');
+const PAGE_FILE = path.join(ROOT_DIR, 'index.html');
+const MESSAGES_FILE = path.join(ROOT_DIR, 'i18n.js');
+const localeFile = (locale) => path.join(ROOT_DIR, 'locales', `${locale}.json`);
+const INDENT = '    ';
+// Product pages live at #seguros/<slug>; ProductRouter reads the prefix from
+// the data-product-pages attribute of their container
+const PAGE_ROUTE = 'seguros';
+
+// Generated markup goes between <!-- catalog:<name> --> and <!-- /catalog:<name> -->,
+// indented like the opening comment; everything outside is left alone
+const REGION_PATTERN = /^([ \t]*)<!-- catalog:(\w+)[^>]*-->\n[\s\S]*?^[ \t]*<!-- \/catalog:\2 -->/gm;
+// The same for the pt-BR product copy in i18n.js, between // catalog:messages comments
+const MESSAGES_PATTERN = /^([ \t]*)\/\/ catalog:messages[^\n]*\n[\s\S]*?^[ \t]*\/\/ \/catalog:messages/m;
+
+// ============= MARKUP HELPERS =============
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// pt-BR source text for the markup, from products.json for the product's own
+// copy (set by renderIndex) and from i18n.js for shared copy; the other
+// languages are applied in the browser
+let productCopy = {};
+const text = (key) => {
+    if (key in productCopy) return escapeHtml(productCopy[key][DEFAULT_LOCALE]);
+    if (!(key in messages)) {
+        throw new Error(`products.json refers to "${key}", which is missing from i18n.js`);
+    }
+    return escapeHtml(messages[key]);
+};
+
+// Attributes in order, skipping empty ones; `true` renders a bare attribute
+const attrs = (list) => list
+    .filter(([, value]) => value !== undefined && value !== null && value !== false)
+    .map(([name, value]) => value === true ? ` ${name}` : ` ${name}="${escapeHtml(value)}"`)
+    .join('');
+
+// Blank lines are indented too, like everywhere else in the page
+const indent = (lines, depth = 1) => lines.map(line => INDENT.repeat(depth) + line);
+
+// Blocks separated by a blank line
+const joinBlocks = (blocks) => blocks.flatMap((block, index) => index === 0 ? block : ['', ...block]);
+
+const quoteLink = (product) => `#cotacao?produto=${product.id}`;
+
+// Products without a page send visitors straight to the quote form
+const pageLink = (product) => product.page ? `#${PAGE_ROUTE}/${product.slug}` : quoteLink(product);
+
+const renderIcon = (product) => [
+    '<div class="card__icon">',
+    `${INDENT}<svg viewBox="0 0 64 64" class="icon--animated">`,
+    ...indent(product.icon, 2),
+    `${INDENT}</svg>`,
+    '</div>'
+];
+
+// ============= PRODUCT COPY =============
+// Text in products.json is either the product's own, given in every locale
+// ({ "pt-BR": "...", "en": "...", "es": "..." }), or shared copy, given as a
+// key of i18n.js (like "form.errors.cep"). The product's own copy gets a key
+// named after where it's used, so the markup and script.js look it up like
+// any other message.
+const resolveCopy = ({ products }) => {
+    const copy = {};
+
+    const key = (value, name) => {
+        if (typeof value === 'string') return value;
+
+        const missing = LOCALES.filter(locale => typeof value[locale] !== 'string');
+        if (missing.length > 0) {
+            throw new Error(`products.json has no ${missing.join(', ')} text for "${name}"`);
+        }
+        if (copy[name] && LOCALES.some(locale => copy[name][locale] !== value[locale])) {
+            throw new Error(`products.json has two different texts for "${name}"`);
+        }
+        copy[name] = value;
+        return name;
+    };
+
+    const resolveField = (field) => ({
+        ...field,
+        label: key(field.label, `form.${field.name}.label`),
+        error: key(field.error, `form.${field.name}.error`),
+        ...(field.options && {
+            options: field.options.map(option => ({
+                ...option,
+                label: key(option.label, `form.${field.name}.${option.value || 'placeholder'}`)
+            }))
+        })
+    });
+
+    const resolved = products.map(product => {
+        const prefix = `products.${product.id}`;
+        const { page } = product;
+
+        return {
+            ...product,
+            title: key(product.title, `${prefix}.title`),
+            description: key(product.description, `${prefix}.description`),
+            features: product.features.map((feature, index) => key(feature, `${prefix}.feature${index + 1}`)),
+            ...(product.estimator && {
+                estimator: product.estimator.map(field => ({ ...field, label: key(field.label, `estimator.${field.name}`) }))
+            }),
+            ...(product.details && { details: product.details.map(resolveField) }),
+            ...(page && {
+                page: {
+                    intro: key(page.intro, `${prefix}.intro`),
+                    coverages: page.coverages.map((coverage, index) => ({
+                        ...coverage,
+                        name: key(coverage.name, `${prefix}.coverage${index + 1}.name`),
+                        text: key(coverage.text, `${prefix}.coverage${index + 1}.text`)
+                    })),
+                    faq: page.faq.map((item, index) => ({
+                        question: key(item.question, `${prefix}.faq${index + 1}.question`),
+                        answer: key(item.answer, `${prefix}.faq${index + 1}.answer`)
+                    }))
+                }
+            })
+        };
+    });
+
+    return { products: resolved, copy };
+};
+
+// ============= PRODUCT CARDS =============
+const renderEstimator = (product) => [
+    '<details class="card__estimator">',
+    `${INDENT}<summary class="estimator__toggle" data-i18n="estimator.toggle">${text('estimator.toggle')}</summary>`,
+    `${INDENT}<form class="estimator" data-estimator="${product.id}" novalidate>`,
+    ...indent(product.estimator.flatMap(field => {
+        const id = `est-${product.id}-${field.id}`;
+        return [
+            '<div class="estimator__field">',
+            `${INDENT}<label for="${id}" class="estimator__label" data-i18n="${field.label}">${text(field.label)}</label>`,
+            `${INDENT}<input type="number"${attrs([
+                ['id', id],
+                ['name', field.name],
+                ['class', 'estimator__input'],
+                ['inputmode', 'numeric'],
+                ['min', field.min],
+                ['max', field.max],
+                ['required', true]
+            ])}>`,
+            '</div>'
+        ];
+    }), 2),
+    `${INDENT}${INDENT}<button type="submit" class="btn btn--glass btn--small" data-i18n="estimator.submit">${text('estimator.submit')}</button>`,
+    `${INDENT}${INDENT}<div class="estimator__result" hidden>`,
+    `${INDENT}${INDENT}${INDENT}<p class="estimator__range" aria-live="polite"></p>`,
+    `${INDENT}${INDENT}${INDENT}<p class="estimator__note" data-i18n="estimator.note">${text('estimator.note')}</p>`,
+    `${INDENT}${INDENT}${INDENT}<a href="${quoteLink(product)}" class="estimator__use" data-i18n="estimator.use">${text('estimator.use')}</a>`,
+    `${INDENT}${INDENT}</div>`,
+    `${INDENT}</form>`,
+    '</details>'
+];
+
+const renderCard = (product) => [
+    `<article class="product-card" data-product="${product.id}" data-tilt data-tilt-glare>`,
+    ...indent([
+        ...renderIcon(product),
+        `<h3 class="card__title" data-i18n="${product.title}">${text(product.title)}</h3>`,
+        `<p class="card__description" data-i18n="${product.description}">`,
+        `${INDENT}${text(product.description)}`,
+        '</p>',
+        '<ul class="card__features">',
+        ...indent(product.features.map(key => `<li data-i18n="${key}">${text(key)}</li>`)),
+        '</ul>',
+        // Only products with a rate table in rates.json can be simulated
+        ...(product.estimator ? renderEstimator(product) : []),
+        `<a href="${pageLink(product)}" class="card__cta" data-track="cta_click" data-track-product="${product.id}" data-track-placement="product_card">`,
+        `${INDENT}<span data-i18n="products.more">${text('products.more')}</span>`,
+        `${INDENT}<svg class="cta__arrow" viewBox="0 0 20 20">`,
+        `${INDENT}${INDENT}<path d="M5 10h10m0 0l-4-4m4 4l-4 4" stroke="currentColor" stroke-width="2" fill="none"/>`,
+        `${INDENT}</svg>`,
+        '</a>'
+    ]),
+    '</article>'
+];
+
+// ============= PRODUCT PAGES =============
+const renderCoverages = (coverages) => [
+    '<div class="product-page__table">',
+    `${INDENT}<table>`,
+    ...indent([
+        '<thead>',
+        `${INDENT}<tr>`,
+        ...indent(['productPage.coverage', 'productPage.coverageText', 'productPage.availability']
+            .map(key => `<th scope="col" data-i18n="${key}">${text(key)}</th>`), 2),
+        `${INDENT}</tr>`,
+        '</thead>',
+        '<tbody>',
+        ...indent(coverages.flatMap(coverage => {
+            const availability = coverage.included ? 'included' : 'optional';
+            return [
+                '<tr>',
+                `${INDENT}<th scope="row" data-i18n="${coverage.name}">${text(coverage.name)}</th>`,
+                `${INDENT}<td data-i18n="${coverage.text}">${text(coverage.text)}</td>`,
+                `${INDENT}<td><span class="product-page__badge product-page__badge--${availability}" data-i18n="productPage.${availability}">${text(`productPage.${availability}`)}</span></td>`,
+                '</tr>'
+            ];
+        })),
+        '</tbody>'
+    ], 2),
+    `${INDENT}</table>`,
+    '</div>'
+];
+
+const renderFaq = (faq) => [
+    '<div class="product-page__faq">',
+    ...indent(faq.flatMap(item => [
+        '<details class="product-page__question">',
+        `${INDENT}<summary data-i18n="${item.question}">${text(item.question)}</summary>`,
+        `${INDENT}<p data-i18n="${item.answer}">${text(item.answer)}</p>`,
+        '</details>'
+    ])),
+    '</div>'
+];
+
+const renderProductPage = (product) => {
+    const titleId = `page-${product.id}-title`;
+    const { page } = product;
+
+    return [
+        `<article class="product-page__view" data-route="${PAGE_ROUTE}/${product.slug}" data-product="${product.id}" aria-labelledby="${titleId}" hidden>`,
+        ...indent(joinBlocks([
+            [
+                '<nav class="product-page__breadcrumb" aria-label="Você está em" data-i18n-attr="aria-label:productPage.breadcrumb">',
+                `${INDENT}<a href="#produtos" data-i18n="productPage.back">${text('productPage.back')}</a>`,
+                `${INDENT}<span aria-current="page" data-i18n="${product.title}">${text(product.title)}</span>`,
+                '</nav>'
+            ],
+            [
+                '<div class="product-page__header">',
+                ...indent([
+                    ...renderIcon(product),
+                    `<h1 id="${titleId}" class="section__title" tabindex="-1" data-i18n="${product.title}">${text(product.title)}</h1>`,
+                    `<p class="section__subtitle" data-i18n="${page.intro}">${text(page.intro)}</p>`
+                ]),
+                '</div>'
+            ],
+            [
+                `<h2 class="product-page__heading" data-i18n="productPage.coverages">${text('productPage.coverages')}</h2>`,
+                ...renderCoverages(page.coverages),
+                `<p class="product-page__note" data-i18n="productPage.coverageNote">${text('productPage.coverageNote')}</p>`
+            ],
+            [
+                `<h2 class="product-page__heading" data-i18n="productPage.faq">${text('productPage.faq')}</h2>`,
+                ...renderFaq(page.faq)
+            ],
+            [
+                '<div class="product-page__quote">',
+                ...indent([
+                    `<h2 class="product-page__heading" data-i18n="productPage.quoteTitle">${text('productPage.quoteTitle')}</h2>`,
+                    `<p data-i18n="productPage.quoteText">${text('productPage.quoteText')}</p>`,
+                    `<a href="${quoteLink(product)}" class="btn btn--primary btn--large" data-track="cta_click" data-track-product="${product.id}" data-track-placement="product_page" data-i18n="productPage.quote">${text('productPage.quote')}</a>`
+                ]),
+                '</div>'
+            ]
+        ])),
+        '</article>'
+    ];
+};
+
+// ============= QUOTE FORM =============
+// Extra fields start disabled; QuoteWizard enables the set of the chosen product
+const renderField = (field) => {
+    const common = [['id', field.name], ['name', field.name], ['class', 'form__input']];
+    const labelClass = { select: 'form__label form__label--select', date: 'form__label form__label--date' }[field.type] || 'form__label';
+    let control;
+
+    if (field.type === 'select') {
+        control = [
+            `<select${attrs([...common, ['required', true], ['disabled', true]])}>`,
+            ...indent(field.options.map(option => `<option value="${escapeHtml(option.value)}" data-i18n="${option.label}">${text(option.label)}</option>`)),
+            '</select>'
+        ];
+    } else {
+        control = [`<input${attrs([
+            ['type', field.type || 'text'],
+            ...common,
+            ['placeholder', ' '],
+            ['data-mask', field.mask],
+            ['data-validate', field.validate],
+            ['data-cep-lookup', field.cepLookup],
+            ['data-address', field.address],
+            ['min', field.min],
+            ['max', field.max],
+            ['inputmode', field.inputmode],
+            ['autocapitalize', field.autocapitalize],
+            ['required', true],
+            ['disabled', true]
+        ])}>`];
+    }
+
+    return [
+        '<div class="form__group">',
+        ...indent([
+            ...control,
+            `<label for="${field.name}" class="${labelClass}" data-i18n="${field.label}">${text(field.label)}</label>`,
+            `<span class="form__error" data-i18n="${field.error}">${text(field.error)}</span>`
+        ]),
+        '</div>'
+    ];
+};
+
+const renderDetails = (product) => [
+    `<div class="form__details" data-product="${product.id}" hidden>`,
+    ...indent(joinBlocks((product.details || []).map(renderField))),
+    '</div>'
+];
+
+const renderOption = (product) => [`<option value="${product.id}" data-i18n="${product.title}">${text(product.title)}</option>`];
+
+// ============= FOOTER =============
+const renderFooterLink = (product) => [`<li><a href="${pageLink(product)}" data-i18n="${product.title}">${text(product.title)}</a></li>`];
+
+// ============= PAGE =============
+const RENDERERS = {
+    cards: (products) => joinBlocks(products.map(renderCard)),
+    pages: (products) => joinBlocks(products.filter(product => product.page).map(renderProductPage)),
+    options: (products) => products.flatMap(renderOption),
+    details: (products) => joinBlocks(products.map(renderDetails)),
+    footer: (products) => products.flatMap(renderFooterLink)
+};
+
+const renderIndex = (html, catalog) => {
+    const { products, copy } = resolveCopy(catalog);
+    const found = new Set();
+    productCopy = copy;
+
+    const output = html.replace(REGION_PATTERN, (region, padding, name) => {
+        const render = RENDERERS[name];
+        if (!render) throw new Error(`Unknown catalog region "${name}" in index.html`);
+        found.add(name);
+
+        const lines = render(products).map(line => padding + line);
+        const [opening] = region.split('\n');
+        return [opening, ...lines, `${padding}<!-- /catalog:${name} -->`].join('\n');
+    });
+
+    const missing = Object.keys(RENDERERS).filter(name => !found.has(name));
+    if (missing.length > 0) {
+        throw new Error(`index.html has no catalog region for: ${missing.join(', ')}`);
+    }
+    return output;
+};
+
+// ============= MESSAGES =============
+const jsString = (value) => `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'').replace(/\n/g, '\\n')}'`;
+
+// Keys currently generated into i18n.js, so those of removed products can be dropped
+const generatedKeys = (source) => {
+    const region = source.match(MESSAGES_PATTERN);
+    if (!region) throw new Error('i18n.js has no catalog:messages region');
+    return new Set(Array.from(region[0].matchAll(/^[ \t]*'([^']+)':/gm), match => match[1]));
+};
+
+const renderMessages = (source, catalog) => {
+    const { copy } = resolveCopy(catalog);
+    if (!MESSAGES_PATTERN.test(source)) throw new Error('i18n.js has no catalog:messages region');
+
+    return source.replace(MESSAGES_PATTERN, (region, padding) => {
+        const lines = Object.entries(copy).map(([key, value]) => `${padding}${jsString(key)}: ${jsString(value[DEFAULT_LOCALE])},`);
+        const [opening] = region.split('\n');
+        return [opening, ...lines, `${padding}// /catalog:messages`].join('\n');
+    });
+};
+
+// Shared copy keeps its place in the locale file and the product copy follows it
+const renderLocale = (source, locale, catalog, previousKeys) => {
+    const { copy } = resolveCopy(catalog);
+    const shared = Object.entries(JSON.parse(source)).filter(([key]) => !(key in copy) && !previousKeys.has(key));
+    const product = Object.entries(copy).map(([key, value]) => [key, value[locale]]);
+
+    return `${JSON.stringify(Object.fromEntries([...shared, ...product]), null, 4)}\n`;
+};
+
+// ============= CLI =============
+if (require.main === module) {
+    const catalog = JSON.parse(fs.readFileSync(CATALOG_FILE, 'utf8'));
+    const messagesSource = fs.readFileSync(MESSAGES_FILE, 'utf8');
+    const files = [];
+
+    try {
+        const previousKeys = generatedKeys(messagesSource);
+        files.push({ file: PAGE_FILE, render: (source) => renderIndex(source, catalog) });
+        files.push({ file: MESSAGES_FILE, render: (source) => renderMessages(source, catalog) });
+        LOCALES.filter(locale => locale !== DEFAULT_LOCALE).forEach(locale => {
+            files.push({ file: localeFile(locale), render: (source) => renderLocale(source, locale, catalog, previousKeys) });
+        });
+
+        files.forEach(entry => {
+            entry.source = fs.readFileSync(entry.file, 'utf8');
+            entry.output = entry.render(entry.source);
+        });
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    const outdated = files.filter(entry => entry.output !== entry.source);
+    const names = outdated.map(entry => path.relative(ROOT_DIR, entry.file)).join(', ');
+
+    if (process.argv.includes('--check')) {
+        if (outdated.length > 0) {
+            console.error(`${names} out of date with products.json, run: node catalog.js`);
+            process.exit(1);
+        }
+        console.log('Catalog files are up to date');
+    } else if (outdated.length === 0) {
+        console.log('Catalog files already up to date');
+    } else {
+        outdated.forEach(entry => fs.writeFileSync(entry.file, entry.output));
+        console.log(`${names} updated with ${catalog.products.length} products`);
+    }
+}
+
+module.exports = { resolveCopy, renderIndex, renderMessages, renderLocale };
@@ -0,0 +1,85 @@
+/* ===============================================
+   PIERUCCINI SEGUROS - Premium Estimator
+   Indicative monthly price ranges from rates.json
+   Shared by script.js (browser) and server.js (Node)
+   =============================================== */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PierucciniEstimator = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Values computed from the visitor's inputs before rate factors are looked up
+    const DERIVED = {
+        vehicleAge: (values, now) => {
+            const age = now.getFullYear() - values.vehicleYear;
+            // Next year's models are sold from mid-year, anything newer is a typo
+            if (age < -1) throw new RangeError(`vehicleYear ${values.vehicleYear} is in the future`);
+            return Math.max(age, 0);
+        }
+    };
+
+    const roundTo = (value, step) => Math.round(value / step) * step;
+
+    // Bands are ordered; the first one whose upper bound covers the value wins
+    const findFactor = (bands, value, name) => {
+        const band = bands.find(item => item.upTo === null || value <= item.upTo);
+        if (!band) throw new RangeError(`No rate band for ${name}=${value}`);
+        return band.factor;
+    };
+
+    // Only inputs listed in the product's limits are accepted, as finite numbers in range
+    const normalizeInputs = (config, inputs) => {
+        const values = {};
+
+        Object.entries(config.limits).forEach(([name, limit]) => {
+            const value = Number(inputs[name]);
+
+            if (inputs[name] === '' || inputs[name] === null || !Number.isFinite(value)) {
+                throw new RangeError(`Missing ${name}`);
+            }
+            if ((limit.min !== null && value < limit.min) || (limit.max !== null && value > limit.max)) {
+                throw new RangeError(`${name}=${value} is out of range`);
+            }
+
+            values[name] = value;
+        });
+
+        return values;
+    };
+
+    // Throws RangeError for unknown products or invalid inputs
+    const estimatePremium = (table, product, inputs, now = new Date()) => {
+        const config = table.products[product];
+        if (!config) throw new RangeError(`Unknown product "${product}"`);
+
+        const values = normalizeInputs(config, inputs);
+        const factors = config.factors || {};
+        const variables = { ...values };
+
+        Object.keys(factors).forEach(name => {
+            if (DERIVED[name]) variables[name] = DERIVED[name](values, now);
+        });
+
+        let monthly = (values[config.base] * config.annualRate) / 12;
+        Object.entries(factors).forEach(([name, bands]) => {
+            monthly *= findFactor(bands, variables[name], name);
+        });
+        monthly = Math.max(monthly, config.minimumMonthly || 0);
+
+        const step = table.roundTo || 1;
+
+        return {
+            product,
+            inputs: values,
+            monthly: roundTo(monthly, step),
+            min: Math.max(roundTo(monthly * (1 - table.spread), step), step),
+            max: roundTo(monthly * (1 + table.spread), step),
+            rateTableVersion: table.version
+        };
+    };
+
+    return { estimatePremium };
+});
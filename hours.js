@@ -0,0 +1,108 @@
+/* ===============================================
+   PIERUCCINI SEGUROS - Business Hours
+   Open/closed status in the office's time zone from
+   the JSON-LD schedule plus holiday exceptions
+   =============================================== */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PierucciniHours = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // How far ahead to look for the next opening, enough for long holidays
+    const LOOKAHEAD_DAYS = 14;
+
+    // "08:30" -> 510
+    const toMinutes = (time) => {
+        const [hours, minutes] = String(time).split(':').map(Number);
+        return hours * 60 + (minutes || 0);
+    };
+
+    // ============= SCHEDULE =============
+    // Weekly intervals, in minutes since midnight, indexed by day (0 = Sunday).
+    // Accepts schema.org day names with or without the "https://schema.org/" prefix.
+    const parseOpeningHours = (structuredData) => {
+        const specs = [].concat(structuredData.openingHoursSpecification || []);
+        const weekly = DAYS.map(() => []);
+
+        specs.forEach(spec => {
+            [].concat(spec.dayOfWeek || []).forEach(day => {
+                const index = DAYS.indexOf(String(day).split('/').pop());
+                if (index === -1) throw new RangeError(`Unknown dayOfWeek "${day}"`);
+                weekly[index].push({ opens: toMinutes(spec.opens), closes: toMinutes(spec.closes) });
+            });
+        });
+
+        weekly.forEach(intervals => intervals.sort((a, b) => a.opens - b.opens));
+        return weekly;
+    };
+
+    // Calendar date, weekday and minutes of `date` on the office's wall clock,
+    // whatever the visitor's own time zone is
+    const zonedParts = (date, timeZone) => {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(date).forEach(({ type, value }) => {
+            parts[type] = value;
+        });
+
+        const day = `${parts.year}-${parts.month}-${parts.day}`;
+        return {
+            date: day,
+            weekday: new Date(`${day}T00:00:00Z`).getUTCDay(),
+            minutes: Number(parts.hour) * 60 + Number(parts.minute)
+        };
+    };
+
+    const addDays = (day, count) => new Date(Date.parse(`${day}T00:00:00Z`) + count * DAY_MS).toISOString().slice(0, 10);
+
+    // An exception replaces the whole day: { date, closed: true } or { date, opens, closes }
+    const intervalsFor = (weekly, exceptions, day, weekday) => {
+        const exception = exceptions.find(item => item.date === day);
+        if (!exception) return weekly[weekday];
+        if (exception.closed) return [];
+        return [{ opens: toMinutes(exception.opens), closes: toMinutes(exception.closes) }];
+    };
+
+    // ============= STATUS =============
+    // { open, closesAt, nextOpening: { date, weekday, minutes, daysAhead } }, with
+    // times in minutes since midnight; nextOpening is null while open or when
+    // nothing opens within the lookahead
+    const getStatus = ({ weekly, exceptions = [], timeZone, now = new Date() }) => {
+        const today = zonedParts(now, timeZone);
+
+        for (let daysAhead = 0; daysAhead <= LOOKAHEAD_DAYS; daysAhead++) {
+            const day = addDays(today.date, daysAhead);
+            const weekday = (today.weekday + daysAhead) % 7;
+
+            for (const interval of intervalsFor(weekly, exceptions, day, weekday)) {
+                if (daysAhead === 0 && today.minutes >= interval.closes) continue;
+
+                if (daysAhead === 0 && today.minutes >= interval.opens) {
+                    return { open: true, closesAt: interval.closes, nextOpening: null };
+                }
+                return {
+                    open: false,
+                    closesAt: null,
+                    nextOpening: { date: day, weekday, minutes: interval.opens, daysAhead }
+                };
+            }
+        }
+
+        return { open: false, closesAt: null, nextOpening: null };
+    };
+
+    return { DAYS, parseOpeningHours, zonedParts, getStatus };
+});
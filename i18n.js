@@ -0,0 +1,488 @@
+/* ===============================================
+   PIERUCCINI SEGUROS - Internationalization
+   pt-BR source catalog and message lookup; the en
+   and es catalogs live in locales/<locale>.json
+   =============================================== */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PierucciniI18n = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const DEFAULT_LOCALE = 'pt-BR';
+    const LOCALES = ['pt-BR', 'en', 'es'];
+
+    // ============= SOURCE CATALOG =============
+    // Keys used by data-i18n in the markup and by t() in script.js. {name}
+    // placeholders are filled from params or, in the markup, by data-i18n-slot
+    // children. Plural messages are keyed by Intl.PluralRules category.
+    const messages = {
+        'meta.title': 'Pieruccini Seguros - Proteção Premium em Florianópolis',
+        'meta.description': 'Seguros personalizados para automóvel, residência e vida. Mais de 20 anos protegendo o que importa em Florianópolis com tecnologia e atendimento consultivo.',
+
+        'nav.home': 'Início',
+        'nav.products': 'Seguros',
+        'nav.about': 'Sobre',
+        'nav.contact': 'Contato',
+        'nav.claim': 'Sinistro',
+        'nav.client': 'Área do cliente',
+        'nav.quote': 'Fazer Cotação',
+        'nav.label': 'Menu principal',
+        'nav.logo': 'Pieruccini Seguros - Voltar ao início',
+        'nav.toggle': 'Abrir menu',
+        'nav.language': 'Idioma',
+
+        'hero.title': 'Protegendo o que {highlight}',
+        'hero.titleHighlight': 'realmente importa',
+        'hero.subtitle': 'Seguros personalizados para você, sua casa e sua empresa. Tecnologia e experiência há mais de 20 anos em Florianópolis.',
+        'hero.cta': 'Fazer cotação agora',
+        'hero.emergencyCta': 'Emergência 24h no WhatsApp',
+        'hero.products': 'Conheça nossos seguros',
+        'hero.stats.years': 'Anos de experiência',
+        'hero.stats.clients': 'Clientes protegidos',
+        'hero.stats.emergency': 'Atendimento emergencial',
+        'hero.scroll': 'Rolar para baixo',
+
+        'products.title': 'Seguros que se adaptam {accent}',
+        'products.titleAccent': 'ao seu estilo de vida',
+        'products.subtitle': 'Proteção completa com coberturas personalizadas e atendimento consultivo especializado',
+        // catalog:messages - product copy from products.json, written by catalog.js
+        'products.auto.title': 'Seguro Automóvel',
+        'products.auto.description': 'Tranquilidade na direção com cobertura sob medida. Planos flexíveis, assistência 24h e atendimento humano quando você mais precisa.',
+        'products.auto.feature1': 'Assistência 24 horas',
+        'products.auto.feature2': 'Carro reserva',
+        'products.auto.feature3': 'Proteção contra terceiros',
+        'estimator.vehicleYear': 'Ano do veículo',
+        'estimator.vehicleValue': 'Valor do veículo (R$)',
+        'form.plate.label': 'Placa do veículo',
+        'form.plate.error': 'Informe uma placa válida (ABC1D23 ou ABC-1234)',
+        'form.vehicleModel.label': 'Marca e modelo',
+        'form.vehicleModel.error': 'Por favor, informe a marca e o modelo',
+        'form.vehicleYear.label': 'Ano do veículo',
+        'form.vehicleYear.error': 'Informe um ano entre 1980 e o próximo ano',
+        'form.parkingCep.label': 'CEP de pernoite',
+        'form.parkingCity.label': 'Cidade de pernoite',
+        'products.auto.intro': 'Cobertura para colisão, roubo e furto, danos a terceiros e assistência 24 horas, cotada nas principais seguradoras do mercado.',
+        'products.auto.coverage1.name': 'Colisão, incêndio e alagamento',
+        'products.auto.coverage1.text': 'Reparo ou indenização do veículo em batidas, capotagem, incêndio e enchentes.',
+        'products.auto.coverage2.name': 'Roubo e furto',
+        'products.auto.coverage2.text': 'Indenização pelo valor da tabela FIPE se o veículo não for recuperado.',
+        'products.auto.coverage3.name': 'Danos a terceiros',
+        'products.auto.coverage3.text': 'Danos materiais e corporais causados a outras pessoas e veículos.',
+        'products.auto.coverage4.name': 'Carro reserva',
+        'products.auto.coverage4.text': 'Um veículo à sua disposição enquanto o seu está na oficina ou após um roubo.',
+        'products.auto.coverage5.name': 'Vidros, faróis e retrovisores',
+        'products.auto.coverage5.text': 'Troca ou reparo com franquia reduzida.',
+        'products.auto.faq1.question': 'O que é a franquia?',
+        'products.auto.faq1.answer': 'É a parte do prejuízo que fica por sua conta em um sinistro parcial. Franquias menores deixam o seguro um pouco mais caro.',
+        'products.auto.faq2.question': 'Outras pessoas podem dirigir o carro?',
+        'products.auto.faq2.answer': 'Sim. Quem tem entre 18 e 25 anos ou usa o carro com frequência deve ser informado no questionário de perfil para não perder a cobertura.',
+        'products.auto.faq3.question': 'Como funciona a assistência 24 horas?',
+        'products.auto.faq3.answer': 'Guincho, chaveiro, troca de pneu e pane seca em todo o Brasil, acionados pelo telefone ou aplicativo da seguradora.',
+        'products.home.title': 'Seguro Residencial',
+        'products.home.description': 'Seu patrimônio protegido com inteligência. Coberturas completas do básico ao premium, adaptadas ao seu imóvel.',
+        'products.home.feature1': 'Danos elétricos',
+        'products.home.feature2': 'Roubo e furto',
+        'products.home.feature3': 'Responsabilidade civil',
+        'estimator.propertyValue': 'Valor do imóvel (R$)',
+        'form.propertyType.label': 'Tipo de imóvel',
+        'form.propertyType.error': 'Por favor, selecione o tipo de imóvel',
+        'form.propertyType.placeholder': 'Selecione o tipo de imóvel',
+        'form.propertyType.house': 'Casa',
+        'form.propertyType.apartment': 'Apartamento',
+        'form.propertyType.condo': 'Casa em condomínio',
+        'form.propertyCep.label': 'CEP do imóvel',
+        'form.propertyStreet.label': 'Endereço e número',
+        'form.propertyStreet.error': 'Por favor, informe o endereço',
+        'form.propertyCity.label': 'Cidade',
+        'form.propertyArea.label': 'Área construída (m²)',
+        'form.propertyArea.error': 'Informe a área em metros quadrados',
+        'form.propertyValue.label': 'Valor do imóvel (R$)',
+        'form.propertyValue.error': 'Informe um valor a partir de R$ 10.000',
+        'products.home.intro': 'Proteção para o imóvel e para o que há dentro dele, seja casa ou apartamento, próprio ou alugado.',
+        'products.home.coverage1.name': 'Incêndio, raio e explosão',
+        'products.home.coverage1.text': 'Cobertura básica para a estrutura e o conteúdo do imóvel.',
+        'products.home.coverage2.name': 'Danos elétricos',
+        'products.home.coverage2.text': 'Aparelhos e instalações danificados por curto-circuito ou oscilação de energia.',
+        'products.home.coverage3.name': 'Roubo e furto qualificado',
+        'products.home.coverage3.text': 'Bens levados com arrombamento ou violência.',
+        'products.home.coverage4.name': 'Responsabilidade civil familiar',
+        'products.home.coverage4.text': 'Danos que você ou sua família causarem a outras pessoas, como um vazamento no vizinho.',
+        'products.home.coverage5.name': 'Vendaval e granizo',
+        'products.home.coverage5.text': 'Danos ao telhado, às janelas e à estrutura causados por tempestades.',
+        'products.home.faq1.question': 'Quem mora de aluguel pode contratar?',
+        'products.home.faq1.answer': 'Sim. O inquilino pode segurar os seus bens e a responsabilidade civil; a estrutura costuma ficar com o seguro do proprietário.',
+        'products.home.faq2.question': 'O seguro inclui assistências?',
+        'products.home.faq2.answer': 'A maioria dos planos inclui chaveiro, encanador e eletricista para emergências, com um limite de acionamentos por ano.',
+        'products.home.faq3.question': 'Como é definido o valor segurado?',
+        'products.home.faq3.answer': 'Pelo custo de reconstrução do imóvel e pelo valor dos bens, e não pelo preço de mercado do terreno.',
+        'products.life.title': 'Seguro de Vida',
+        'products.life.description': 'Segurança financeira para quem você ama. Planejamento e proteção para todas as fases da vida com benefícios exclusivos.',
+        'products.life.feature1': 'Indenização especial',
+        'products.life.feature2': 'Assistência funeral',
+        'products.life.feature3': 'Cobertura por invalidez',
+        'estimator.age': 'Sua idade',
+        'estimator.coverageAmount': 'Cobertura desejada (R$)',
+        'form.birthDate.label': 'Data de nascimento',
+        'form.birthDate.error': 'O seguro de vida é para pessoas entre 18 e 80 anos',
+        'form.profession.label': 'Profissão',
+        'form.profession.error': 'Por favor, informe sua profissão',
+        'form.coverageAmount.label': 'Valor da cobertura (R$)',
+        'form.coverageAmount.error': 'Informe um valor entre R$ 10.000 e R$ 10.000.000',
+        'products.life.intro': 'Amparo financeiro para a sua família e coberturas para você em vida, com um capital definido conforme o seu momento.',
+        'products.life.coverage1.name': 'Morte por qualquer causa',
+        'products.life.coverage1.text': 'Capital pago aos beneficiários que você indicar.',
+        'products.life.coverage2.name': 'Invalidez por acidente',
+        'products.life.coverage2.text': 'Indenização total ou parcial em caso de invalidez permanente causada por acidente.',
+        'products.life.coverage3.name': 'Assistência funeral',
+        'products.life.coverage3.text': 'Organização e custeio do funeral do segurado e, em alguns planos, da família.',
+        'products.life.coverage4.name': 'Doenças graves',
+        'products.life.coverage4.text': 'Antecipação de parte do capital no diagnóstico de doenças como câncer e infarto.',
+        'products.life.faq1.question': 'Quem pode ser beneficiário?',
+        'products.life.faq1.answer': 'Qualquer pessoa que você indicar, e a indicação pode ser alterada a qualquer momento. Sem indicação, vale a ordem prevista em lei.',
+        'products.life.faq2.question': 'O capital segurado entra em inventário?',
+        'products.life.faq2.answer': 'Não. A indenização do seguro de vida é paga diretamente aos beneficiários e não entra em inventário.',
+        'products.life.faq3.question': 'Posso contratar tendo alguma doença?',
+        'products.life.faq3.answer': 'Sim, mas doenças preexistentes declaradas podem ter carência ou exclusões, conforme a análise da seguradora.',
+        // /catalog:messages
+        'products.more': 'Saiba mais',
+        'productPage.title': '{product} | Pieruccini Seguros',
+        'productPage.breadcrumb': 'Você está em',
+        'productPage.back': 'Todos os seguros',
+        'productPage.coverages': 'Coberturas',
+        'productPage.coverage': 'Cobertura',
+        'productPage.coverageText': 'O que cobre',
+        'productPage.availability': 'No plano',
+        'productPage.included': 'Incluída',
+        'productPage.optional': 'Opcional',
+        'productPage.coverageNote': 'Coberturas e limites variam conforme a seguradora e o plano escolhido.',
+        'productPage.faq': 'Perguntas frequentes',
+        'productPage.quoteTitle': 'Pronto para comparar?',
+        'productPage.quoteText': 'Cotamos nas seguradoras parceiras e enviamos a melhor proposta para o seu perfil, sem compromisso.',
+        'productPage.quote': 'Solicitar cotação',
+        'productPage.notFound.title': 'Página não encontrada',
+        'productPage.notFound.text': 'O endereço pode ter mudado ou estar incompleto. Veja todos os seguros que oferecemos.',
+        'productPage.notFound.action': 'Ver todos os seguros',
+
+        'estimator.toggle': 'Simular valor',
+        'estimator.submit': 'Calcular estimativa',
+        'estimator.note': '*Estimativa indicativa, não é uma proposta. O valor final depende da análise da seguradora.',
+        'estimator.use': 'Usar na cotação',
+        'estimator.range': '{min} a {max} por mês*',
+        'estimator.invalid': 'Confira os valores informados para calcular a estimativa.',
+        'estimator.unavailable': 'Não foi possível calcular agora. Tente novamente em instantes.',
+
+        'estimate.remove': 'Remover estimativa da cotação',
+        'estimate.product': 'Estimativa do {product}',
+        'estimate.generic': 'Estimativa',
+        'estimate.summary': '{label}: {min} a {max} por mês',
+
+        'trust.title': 'Tradição que evoluiu {accent}',
+        'trust.titleAccent': 'com a tecnologia',
+        'trust.description': 'Há mais de duas décadas, a Pieruccini Seguros combina experiência de mercado com inovação tecnológica para oferecer proteção personalizada. Nossa missão é simplificar o complexo mundo dos seguros, garantindo que você tenha exatamente a cobertura que precisa, sem burocracia.',
+        'trust.benefit1': 'Análise personalizada de riscos',
+        'trust.benefit2': 'Parcerias com as melhores seguradoras',
+        'trust.benefit3': 'Atendimento consultivo especializado',
+        'trust.benefit4': 'Processo digital simplificado',
+        'trust.metrics.years': 'Anos de mercado',
+        'trust.metrics.clients': 'Clientes atendidos',
+        'trust.metrics.partners': 'Seguradoras parceiras',
+        'trust.metrics.satisfaction': 'Satisfação',
+
+        'partners.title': 'Trabalhamos com as melhores seguradoras do mercado',
+        'partners.label': 'Seguradoras parceiras',
+        'partners.logo': 'Seguradora parceira',
+
+        'contact.title': 'Vamos conversar sobre {accent}',
+        'contact.titleAccent': 'sua proteção',
+        'contact.subtitle': 'Entre em contato e receba uma consultoria personalizada sem compromisso',
+        'contact.channels': 'Nossos canais',
+        'contact.phones': 'Telefones',
+        'contact.address': 'Endereço',
+        'contact.hours': 'Horário de atendimento',
+        'contact.weekdays': 'Segunda a Sexta',
+        'contact.openingHours': '08:00 às 18:00',
+        'hours.open': 'Aberto agora',
+        'hours.closed': 'Fechado agora',
+        'hours.closes': 'Fecha às {time}',
+        'hours.opensToday': 'Abre hoje às {time}',
+        'hours.opensTomorrow': 'Abre amanhã às {time}',
+        'hours.opensOn': 'Abre {day} às {time}',
+        'hours.time': '{hour}h',
+        'hours.timeWithMinutes': '{hour}h{minute}',
+        'contact.social': 'Redes sociais',
+        'contact.map': 'Mapa interativo',
+        'contact.mapStatic': 'Mapa do escritório na Rua Felipe Schmidt, 649, Centro de Florianópolis',
+        'contact.mapZoomIn': 'Aproximar',
+        'contact.mapZoomOut': 'Afastar',
+        'contact.mapNotice': 'O mapa é carregado do OpenStreetMap, que recebe seu endereço IP.',
+        'contact.mapLoad': 'Carregar mapa',
+        'contact.mapUnavailable': 'Mapa indisponível no momento. Use os links abaixo para ver o endereço.',
+        'contact.mapGoogle': 'Abrir no Google Maps',
+        'contact.mapWaze': 'Abrir no Waze',
+
+        'form.steps.personal': 'Seus dados',
+        'form.steps.insurance': 'Seu seguro',
+        'form.steps.message': 'Mensagem',
+        'form.name.label': 'Nome completo',
+        'form.name.error': 'Por favor, insira seu nome',
+        'form.email.label': 'E-mail',
+        'form.email.error': 'Por favor, insira um e-mail válido',
+        'form.phone.label': 'Telefone',
+        'form.phone.error': 'Por favor, insira um telefone válido',
+        'form.document.label': 'CPF ou CNPJ',
+        'form.document.error': 'Informe um CPF ou CNPJ válido',
+        'form.subject.placeholder': 'Selecione o tipo de seguro',
+        'form.subject.other': 'Outro',
+        'form.subject.label': 'Tipo de seguro',
+        'form.subject.error': 'Por favor, selecione uma opção',
+        'form.errors.cep': 'Informe um CEP válido (00000-000)',
+        'form.errors.city': 'Por favor, informe a cidade',
+        'form.message.label': 'Mensagem (opcional)',
+        'form.consent.label': 'Li a {policy} e autorizo o uso dos meus dados para elaborar esta cotação e entrar em contato comigo.',
+        'form.consent.error': 'Precisamos da sua autorização para preparar a cotação',
+        'form.back': 'Voltar',
+        'form.next': 'Continuar',
+        'form.submit': 'Solicitar cotação',
+        'form.progress': 'Etapas da cotação',
+        'form.phoneCountry': 'País do telefone',
+        'form.sending': 'Enviando...',
+        'form.checkFields': 'Verifique os campos destacados e tente novamente.',
+        'form.pending': {
+            one: '{count} solicitação aguardando conexão para envio',
+            other: '{count} solicitações aguardando conexão para envio'
+        },
+        'form.queueSent': 'Sua solicitação pendente foi enviada! Entraremos em contato em breve.',
+
+        'wizard.step': 'Etapa {step} de {total}: {label}',
+
+        'cep.notFound': 'CEP não encontrado. Preencha o endereço manualmente.',
+        'cep.filled': 'Endereço preenchido a partir do CEP.',
+
+        'feedback.success': 'Mensagem enviada com sucesso! Entraremos em contato em breve.',
+        'feedback.queued': 'Sem conexão no momento. Sua solicitação foi salva e será enviada quando você estiver online.',
+        'feedback.error': 'Ocorreu um erro. Por favor, tente novamente.',
+        'feedback.whatsapp': 'Continuar pelo WhatsApp',
+
+        'errors.timeout': 'O servidor demorou a responder. Seus dados foram mantidos, tente novamente.',
+        'errors.network': 'Não foi possível conectar. Verifique sua internet e tente novamente.',
+        'errors.rateLimited': {
+            one: 'Recebemos várias solicitações seguidas. Tente novamente em {count} minuto ou ligue para (48) 3225-6114.',
+            other: 'Recebemos várias solicitações seguidas. Tente novamente em {count} minutos ou ligue para (48) 3225-6114.'
+        },
+        'errors.rejected': 'Não conseguimos confirmar o envio automaticamente. Por favor, ligue para (48) 3225-6114 ou fale conosco pelo WhatsApp.',
+
+        'claim.title': 'Comunicar {accent}',
+        'claim.titleAccent': 'sinistro',
+        'claim.subtitle': 'Conte o que aconteceu e envie fotos. Nossa equipe retorna o contato para orientar os próximos passos.',
+        'claim.emergency': 'Em caso de risco à vida, ligue primeiro para 190 (Polícia), 192 (SAMU) ou 193 (Bombeiros).',
+        'claim.lookupType.label': 'Identificar o seguro por',
+        'claim.lookupType.policy': 'Número da apólice',
+        'claim.lookupType.cpf': 'CPF do segurado',
+        'claim.lookup.policy': 'Número da apólice',
+        'claim.lookup.policyError': 'Informe o número da apólice como aparece no documento',
+        'claim.lookup.cpf': 'CPF do segurado',
+        'claim.lookup.cpfError': 'Informe um CPF válido',
+        'claim.phone': 'Telefone para retorno',
+        'claim.incidentType.label': 'Tipo de ocorrência',
+        'claim.incidentType.placeholder': 'Selecione o tipo de ocorrência',
+        'claim.incidentType.collision': 'Colisão',
+        'claim.incidentType.theft': 'Roubo ou furto',
+        'claim.incidentType.glass': 'Vidros',
+        'claim.incidentType.weather': 'Alagamento, granizo ou vendaval',
+        'claim.incidentType.fire': 'Incêndio',
+        'claim.incidentType.water': 'Vazamento ou dano elétrico',
+        'claim.incidentType.other': 'Outro',
+        'claim.incidentDate.label': 'Data da ocorrência',
+        'claim.incidentDate.error': 'Informe uma data dos últimos 12 meses',
+        'claim.incidentTime': 'Horário aproximado (opcional)',
+        'claim.incidentLocation.label': 'Local (endereço ou referência)',
+        'claim.incidentLocation.error': 'Por favor, informe onde aconteceu',
+        'claim.description.label': 'O que aconteceu?',
+        'claim.description.error': 'Por favor, descreva a ocorrência',
+        'claim.photos.label': 'Adicionar fotos',
+        'claim.photos.hint': 'Até 8 fotos. Elas são reduzidas no seu aparelho antes do envio.',
+        'claim.photos.list': 'Fotos do sinistro',
+        'claim.photos.progress': 'Envio de {name}',
+        'claim.photos.remove': 'Remover {name}',
+        'claim.photos.processing': 'Preparando a foto...',
+        'claim.photos.ready': 'Pronta para envio · {size}',
+        'claim.photos.uploading': 'Enviando... {percent}',
+        'claim.photos.done': 'Enviada',
+        'claim.photos.unreadable': 'Não foi possível abrir esta foto. Tente outro formato, como JPEG.',
+        'claim.photos.failed': 'O envio falhou. Ela será enviada de novo na próxima tentativa.',
+        'claim.photos.added': {
+            one: '{count} foto adicionada',
+            other: '{count} fotos adicionadas'
+        },
+        'claim.photos.removed': '{name} removida',
+        'claim.photos.limit': {
+            one: 'Você pode enviar até {count} foto.',
+            other: 'Você pode enviar até {count} fotos.'
+        },
+        'claim.photos.uploaded': 'Foto {current} de {total} enviada',
+        'claim.consent.label': 'Li a {policy} e autorizo o uso dos meus dados e das fotos para registrar este sinistro e entrar em contato comigo.',
+        'claim.consent.error': 'Precisamos da sua autorização para registrar o sinistro',
+        'claim.submit': 'Enviar aviso de sinistro',
+        'claim.sending': 'Enviando aviso...',
+        'claim.success': 'Sinistro registrado com o protocolo {protocol}. Vamos ligar para o telefone informado para orientar os próximos passos.',
+        'claim.error': 'Não foi possível enviar o aviso. Tente novamente ou ligue para (48) 3225-6114.',
+        'claim.footer': 'Comunicar sinistro',
+
+        'client.title': 'Área do {accent}',
+        'client.titleAccent': 'cliente',
+        'client.subtitle': 'Consulte suas apólices, baixe documentos e peça a renovação sem precisar ligar',
+        'client.login.title': 'Entrar com seu e-mail',
+        'client.login.text': 'Enviamos um link de acesso para o e-mail cadastrado na sua apólice. Não é preciso senha.',
+        'client.login.email': 'E-mail cadastrado',
+        'client.login.submit': 'Receber link de acesso',
+        'client.login.sent': 'Se {email} estiver cadastrado, você vai receber um link de acesso em instantes. Ele vale por pouco tempo e só pode ser usado uma vez.',
+        'client.login.error': 'Não foi possível enviar o link. Tente novamente em instantes.',
+        'client.login.invalid': 'Este link de acesso expirou ou já foi usado. Peça um novo abaixo.',
+        'client.greeting': 'Olá, {name}!',
+        'client.session.until': 'Sessão ativa até {time}',
+        'client.session.expired': 'Sua sessão expirou. Entre novamente para continuar.',
+        'client.logout': 'Sair',
+        'client.loggedOut': 'Você saiu da área do cliente.',
+        'client.loading': 'Carregando suas apólices...',
+        'client.empty': 'Não encontramos apólices no seu cadastro. Fale conosco se algo estiver faltando.',
+        'client.loadError': 'Não foi possível carregar suas apólices. Tente novamente em instantes.',
+        'client.policies': 'Suas apólices',
+        'client.policy.number': 'Apólice',
+        'client.policy.insurer': 'Seguradora',
+        'client.policy.period': 'Vigência',
+        'client.policy.periodValue': '{start} a {end}',
+        'client.policy.renewal': 'Renovação',
+        'client.policy.renewsIn': {
+            one: '{date}, em {count} dia',
+            other: '{date}, em {count} dias'
+        },
+        'client.policy.renewsToday': '{date}, hoje',
+        'client.policy.ended': '{date}, vencida',
+        'client.policy.documents': 'Documentos',
+        'client.policy.noDocuments': 'Nenhum documento disponível ainda.',
+        'client.policy.download': '{title} (PDF)',
+        'client.policy.renew': 'Solicitar cotação de renovação',
+        'client.policy.renewSent': 'Pedido de renovação enviado. Entraremos em contato antes do vencimento.',
+        'client.policy.renewError': 'Não foi possível enviar o pedido. Tente novamente ou ligue para (48) 3225-6114.',
+        'client.email.subject': 'Seu link de acesso à Área do Cliente',
+        'client.email.body': 'Olá, {name}!\n\nUse o link abaixo para entrar na Área do Cliente da Pieruccini Seguros. Ele vale por {minutes} minutos e só pode ser usado uma vez:\n\n{link}\n\nSe você não pediu este acesso, ignore este e-mail.',
+
+        'privacy.policy': 'Política de Privacidade',
+        'privacy.title': 'Política de {accent}',
+        'privacy.titleAccent': 'Privacidade',
+        'privacy.subtitle': 'Como tratamos seus dados pessoais, conforme a Lei Geral de Proteção de Dados (Lei 13.709/2018)',
+        'privacy.version': 'Versão 2026-10, em vigor desde 1º de outubro de 2026',
+        'privacy.collect.title': 'Quais dados coletamos',
+        'privacy.collect.text': 'Nome, e-mail, telefone, CPF ou CNPJ e as informações do bem ou da pessoa a ser segurada que você envia no formulário de cotação ou no aviso de sinistro, incluindo as fotos, além da origem da visita (campanha ou site de onde você veio).',
+        'privacy.use.title': 'Para que usamos',
+        'privacy.use.text': 'Para elaborar cotações junto às seguradoras parceiras e entrar em contato sobre elas. Os dados só são compartilhados com as seguradoras consultadas e não são vendidos a terceiros.',
+        'privacy.cookies.title': 'Cookies',
+        'privacy.cookies.text': 'Usamos apenas o armazenamento essencial ao funcionamento do site. Estatísticas de uso só são coletadas com a sua permissão, que pode ser alterada a qualquer momento em {preferences}.',
+        'privacy.retention.title': 'Por quanto tempo',
+        'privacy.retention.text': 'Cotações não contratadas são mantidas por até 12 meses. Dados de apólices seguem os prazos exigidos pela SUSEP.',
+        'privacy.rights.title': 'Seus direitos',
+        'privacy.rights.text': 'Você pode pedir acesso, correção ou exclusão dos seus dados e revogar o consentimento. Respondemos em até 15 dias pelo e-mail informado. Encarregado de dados: {email}.',
+        'privacy.request.title': 'Solicitar meus dados',
+        'privacy.request.email': 'E-mail usado na cotação',
+        'privacy.request.access': 'Receber uma cópia dos meus dados',
+        'privacy.request.deletion': 'Excluir meus dados',
+        'privacy.request.type': 'O que você deseja?',
+        'privacy.request.document': 'CPF ou CNPJ (opcional)',
+        'privacy.request.submit': 'Enviar solicitação',
+        'privacy.request.success': 'Solicitação registrada com o protocolo {protocol}. Responderemos pelo e-mail informado até {deadline}.',
+        'privacy.request.error': 'Não foi possível registrar sua solicitação. Tente novamente ou escreva para privacidade@pierucciniseguros.com.br.',
+
+        'consent.preferences': 'Preferências de cookies',
+        'consent.title': 'Sua privacidade',
+        'consent.text': 'Usamos o armazenamento essencial para o site funcionar e, com a sua permissão, estatísticas de uso para melhorá-lo. Saiba mais na {policy}.',
+        'consent.essential.title': 'Essenciais',
+        'consent.essential.text': 'Formulários, cotações salvas e estas preferências.',
+        'consent.analytics.title': 'Estatísticas',
+        'consent.analytics.text': 'Páginas visitadas e uso dos simuladores, sem identificar você.',
+        'consent.maps.title': 'Mapas',
+        'consent.maps.text': 'Mostra o mapa do escritório, carregado do OpenStreetMap.',
+        'consent.reject': 'Recusar',
+        'consent.customize': 'Personalizar',
+        'consent.save': 'Salvar preferências',
+        'consent.accept': 'Aceitar todos',
+        'consent.saved': 'Preferências de privacidade salvas.',
+
+        'update.available': 'Uma nova versão do site está disponível.',
+        'update.dismiss': 'Agora não',
+        'update.reload': 'Atualizar',
+
+        'whatsapp.greeting': 'Olá! Vim pelo site da Pieruccini Seguros.',
+        'whatsapp.emergency': 'Olá! Preciso de atendimento emergencial.',
+        'whatsapp.formError': 'Olá! Tentei pedir uma cotação pelo site, mas o envio não funcionou.',
+        'whatsapp.product': 'Tenho interesse no {product}.',
+        'whatsapp.section': 'Estava vendo: {section}',
+        'whatsapp.details': 'O que já preenchi:',
+
+        'footer.tagline': 'Protegendo o que importa desde 2003',
+        'footer.navigation': 'Navegação',
+        'footer.about': 'Sobre nós',
+        'footer.products': 'Produtos',
+        'footer.otherProducts': 'Outros seguros',
+        'footer.quickContact': 'Contato rápido',
+        'footer.copyright': '© 2025 Pieruccini Seguros. Todos os direitos reservados.',
+
+        'a11y.whatsapp': 'Conversar no WhatsApp',
+        'a11y.backToTop': 'Voltar ao topo',
+        'a11y.skipLink': 'Pular para o conteúdo principal'
+    };
+
+    // ============= LOOKUP =============
+    // First supported locale for a list like navigator.languages; regional
+    // variants fall back to their language, so "es-AR" gets "es"
+    const matchLocale = (languages) => {
+        for (const language of languages) {
+            if (!language) continue;
+
+            const exact = LOCALES.find(locale => locale.toLowerCase() === language.toLowerCase());
+            if (exact) return exact;
+
+            const base = language.split('-')[0].toLowerCase();
+            const sameLanguage = LOCALES.find(locale => locale.split('-')[0].toLowerCase() === base);
+            if (sameLanguage) return sameLanguage;
+        }
+        return null;
+    };
+
+    // Placeholders without a matching param are left alone for the markup slots
+    const interpolate = (message, params) => message.replace(/\{(\w+)\}/g, (match, name) => (
+        Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match
+    ));
+
+    const pluralRules = {};
+    const selectPlural = (message, locale, count) => {
+        if (!pluralRules[locale]) pluralRules[locale] = new Intl.PluralRules(locale);
+        const form = message[pluralRules[locale].select(count)];
+        return form !== undefined ? form : message.other;
+    };
+
+    // Keys missing from `catalog` come from the pt-BR source and are passed to
+    // onMissing; keys missing everywhere are returned as-is
+    const createTranslator = (locale, catalog, onMissing = () => {}) => (key, params = {}) => {
+        let message = catalog[key];
+        let messageLocale = locale;
+
+        if (message === undefined) {
+            onMissing(key, locale);
+            message = messages[key];
+            messageLocale = DEFAULT_LOCALE;
+        }
+        if (message === undefined) return key;
+
+        if (typeof message === 'object') {
+            message = selectPlural(message, messageLocale, params.count);
+        }
+        return interpolate(message, params);
+    };
+
+    const missingKeys = (catalog) => Object.keys(messages).filter(key => !(key in catalog));
+
+    return { DEFAULT_LOCALE, LOCALES, messages, matchLocale, createTranslator, missingKeys };
+});
@@ -0,0 +1,93 @@
+/* ===============================================
+   PIERUCCINI SEGUROS - Photo Helpers
+   EXIF orientation and resize math for the claim
+   photos; the canvas work happens in script.js
+   =============================================== */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PierucciniImages = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const ORIENTATION_TAG = 0x0112;
+
+    // ============= EXIF =============
+    // Orientation (1-8) stored by the camera in a JPEG's APP1 segment; 1 when
+    // the file isn't a JPEG or carries no orientation
+    const readJpegOrientation = (buffer) => {
+        const view = new DataView(buffer);
+        if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return 1;
+
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            const length = view.getUint16(offset + 2);
+
+            // Start of scan: the metadata segments are over
+            if (marker === 0xFFDA || (marker & 0xFF00) !== 0xFF00) break;
+
+            // "Exif\0\0" followed by a TIFF header
+            if (marker === 0xFFE1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+                return readTiffOrientation(view, offset + 10, Math.min(offset + 2 + length, view.byteLength));
+            }
+
+            offset += 2 + length;
+        }
+
+        return 1;
+    };
+
+    const readTiffOrientation = (view, start, end) => {
+        if (start + 8 > end) return 1;
+
+        const littleEndian = view.getUint16(start) === 0x4949;
+        const ifd = start + view.getUint32(start + 4, littleEndian);
+        if (ifd + 2 > end) return 1;
+
+        const entries = view.getUint16(ifd, littleEndian);
+        for (let i = 0; i < entries; i++) {
+            const entry = ifd + 2 + i * 12;
+            if (entry + 12 > end) break;
+
+            if (view.getUint16(entry, littleEndian) === ORIENTATION_TAG) {
+                const value = view.getUint16(entry + 8, littleEndian);
+                return value >= 1 && value <= 8 ? value : 1;
+            }
+        }
+
+        return 1;
+    };
+
+    // ============= GEOMETRY =============
+    // Scales down so the longest side fits maxSize; never scales up
+    const fitWithin = (width, height, maxSize) => {
+        const scale = Math.min(1, maxSize / Math.max(width, height));
+        return { width: Math.round(width * scale), height: Math.round(height * scale) };
+    };
+
+    // Canvas size and setTransform() matrix that draw a width x height image
+    // upright for the given orientation; 5-8 are rotated, so the sides swap
+    const orientationTransform = (orientation, width, height) => {
+        const matrices = {
+            1: [1, 0, 0, 1, 0, 0],
+            2: [-1, 0, 0, 1, width, 0],
+            3: [-1, 0, 0, -1, width, height],
+            4: [1, 0, 0, -1, 0, height],
+            5: [0, 1, 1, 0, 0, 0],
+            6: [0, 1, -1, 0, height, 0],
+            7: [0, -1, -1, 0, height, width],
+            8: [0, -1, 1, 0, 0, width]
+        };
+        const rotated = orientation >= 5 && orientation <= 8;
+
+        return {
+            width: rotated ? height : width,
+            height: rotated ? width : height,
+            matrix: matrices[orientation] || matrices[1]
+        };
+    };
+
+    return { readJpegOrientation, fitWithin, orientationTransform };
+});
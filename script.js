@@ -41,6 +41,12 @@ const isInViewport = (element, offset = 0) => {
     );
 };
 
+// Height of the fixed navbar, which covers the top of whatever is scrolled to
+const getNavbarOffset = () => {
+    const navbar = $('.navbar');
+    return navbar ? navbar.offsetHeight : 0;
+};
+
 // Smooth scroll to element
 const smoothScrollTo = (element, offset = 0) => {
     const targetPosition = element.getBoundingClientRect().top + window.pageYOffset - offset;
@@ -50,14 +56,244 @@ const smoothScrollTo = (element, offset = 0) => {
     });
 };
 
+// Split a location hash like "#cotacao?produto=auto" into the section id and its params
+const parseHash = (hash = location.hash) => {
+    const [id, query = ''] = hash.replace(/^#/, '').split('?');
+    return { id: decodeURIComponent(id), params: new URLSearchParams(query) };
+};
+
+// Unique id for client-generated records (used to deduplicate retries)
+const generateId = () => {
+    if (window.crypto && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+// Shared validators and masks (validators.js)
+const { validators: Validators, masks: Masks } = window.PierucciniValidators;
+
+// Scroll-driven components subscribe here instead of listening to scroll themselves (scroll.js)
+const scrollScheduler = window.PierucciniScroll.createScrollScheduler(window);
+
+// Re-apply a mask without throwing the caret to the end of the field: the caret
+// goes back after the same number of letters/digits it was after before masking
+const applyMask = (field, mask) => {
+    const { value, selectionStart } = field;
+    const masked = mask(value);
+    if (masked === value) return;
+    
+    const wasAtEnd = selectionStart === null || selectionStart >= value.length;
+    const isSignificant = (char) => /[0-9A-Za-z]/.test(char);
+    const significantBefore = value.slice(0, selectionStart || 0).split('').filter(isSignificant).length;
+    
+    field.value = masked;
+    if (wasAtEnd || document.activeElement !== field) return;
+    
+    let position = 0;
+    let count = 0;
+    while (position < masked.length && count < significantBefore) {
+        if (isSignificant(masked[position])) count++;
+        position++;
+    }
+    field.setSelectionRange(position, position);
+};
+
+// ============= I18N =============
+// The pt-BR catalog ships inside i18n.js so t() never waits; en and es are
+// fetched from locales/<locale>.json the first time they're picked.
+const { DEFAULT_LOCALE, LOCALES, messages: sourceMessages, matchLocale, createTranslator, missingKeys } = window.PierucciniI18n;
+const LOCALE_STORAGE_KEY = 'pieruccini:locale';
+const isDevelopment = ['localhost', '127.0.0.1'].includes(location.hostname);
+
+class I18n {
+    constructor() {
+        this.catalogs = { [DEFAULT_LOCALE]: sourceMessages };
+        this.requests = {};
+        this.reported = new Set();
+        this.formatters = new Map();
+        this.use(DEFAULT_LOCALE);
+    }
+    
+    use(locale) {
+        this.locale = locale;
+        this.translate = createTranslator(locale, this.catalogs[locale], (key) => this.reportMissing(key, locale));
+    }
+    
+    t(key, params) {
+        return this.translate(key, params);
+    }
+    
+    // Missing translations fall back to pt-BR; only worth the noise while developing
+    reportMissing(key, locale) {
+        const id = `${locale}:${key}`;
+        if (!isDevelopment || this.reported.has(id)) return;
+        this.reported.add(id);
+        console.warn(`Missing ${locale} translation for "${key}"`);
+    }
+    
+    // A previous choice wins over the browser languages
+    detectLocale() {
+        let stored = null;
+        try {
+            stored = localStorage.getItem(LOCALE_STORAGE_KEY);
+        } catch (error) {
+            // Storage blocked, fall through to the browser languages
+        }
+        if (LOCALES.includes(stored)) return stored;
+        
+        return matchLocale(navigator.languages || [navigator.language]) || DEFAULT_LOCALE;
+    }
+    
+    load(locale) {
+        if (this.catalogs[locale]) return Promise.resolve(this.catalogs[locale]);
+        
+        if (!this.requests[locale]) {
+            this.requests[locale] = fetch(`locales/${locale}.json`)
+                .then(response => {
+                    if (!response.ok) throw new Error(`Catalog ${locale} responded with ${response.status}`);
+                    return response.json();
+                })
+                .then(catalog => {
+                    const missing = missingKeys(catalog);
+                    if (isDevelopment && missing.length > 0) {
+                        console.warn(`Catalog ${locale} is missing ${missing.length} key(s):`, missing);
+                    }
+                    this.catalogs[locale] = catalog;
+                    return catalog;
+                })
+                .catch(error => {
+                    // Allow a later attempt to retry
+                    delete this.requests[locale];
+                    throw error;
+                });
+        }
+        return this.requests[locale];
+    }
+    
+    // Keeps the current language if the catalog can't be loaded
+    async setLocale(locale, { persist = true } = {}) {
+        if (!LOCALES.includes(locale)) locale = DEFAULT_LOCALE;
+        
+        try {
+            await this.load(locale);
+        } catch (error) {
+            console.warn('Translations unavailable:', error);
+            return false;
+        }
+        
+        if (persist) {
+            try {
+                localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+            } catch (error) {
+                // The choice just won't survive a reload
+            }
+        }
+        
+        if (locale === this.locale) return true;
+        
+        this.use(locale);
+        document.documentElement.lang = locale;
+        this.translatePage();
+        document.dispatchEvent(new CustomEvent('locale-change', { detail: { locale } }));
+        return true;
+    }
+    
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => this.translateElement(element));
+        
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key) element.setAttribute(attribute, this.t(key));
+            });
+        });
+    }
+    
+    // {name} placeholders backed by a data-i18n-slot child keep that element
+    // (a link, a highlighted span), so the markup never goes through innerHTML
+    translateElement(element) {
+        const message = this.t(element.dataset.i18n);
+        const slots = {};
+        element.querySelectorAll(':scope > [data-i18n-slot]').forEach(slot => {
+            slots[slot.dataset.i18nSlot] = slot;
+        });
+        
+        if (Object.keys(slots).length === 0) {
+            element.textContent = message;
+            return;
+        }
+        
+        const parts = message.split(/\{(\w+)\}/).map((part, index) => {
+            if (index % 2 === 0) return part;
+            return slots[part] || `{${part}}`;
+        });
+        element.replaceChildren(...parts.filter(part => part !== ''));
+    }
+    
+    formatNumber(value, options = {}) {
+        const id = `${this.locale}:${JSON.stringify(options)}`;
+        if (!this.formatters.has(id)) {
+            this.formatters.set(id, new Intl.NumberFormat(this.locale, options));
+        }
+        return this.formatters.get(id).format(value);
+    }
+}
+
+const i18n = new I18n();
+const t = (key, params) => i18n.t(key, params);
+
+// Whole reais, e.g. "R$ 1.250"; the currency stays BRL in every language
+const formatCurrency = (value) => i18n.formatNumber(value, {
+    style: 'currency',
+    currency: 'BRL',
+    maximumFractionDigits: 0
+});
+
+// ============= LANGUAGE SWITCHER =============
+class LanguageSwitcher {
+    constructor() {
+        this.selects = $$('[data-language-switcher]');
+        this.init();
+    }
+    
+    init() {
+        this.selects.forEach(select => {
+            select.addEventListener('change', async () => {
+                const changed = await i18n.setLocale(select.value);
+                if (!changed) this.sync();
+            });
+        });
+        
+        document.addEventListener('locale-change', () => this.sync());
+        
+        // The markup is pt-BR, so only other languages need a catalog request
+        const locale = i18n.detectLocale();
+        if (locale !== DEFAULT_LOCALE) {
+            i18n.setLocale(locale, { persist: false });
+        }
+        this.sync();
+    }
+    
+    sync() {
+        this.selects.forEach(select => {
+            select.value = i18n.locale;
+        });
+    }
+}
+
 // ============= NAVIGATION =============
+// On small screens the menu opens as a modal panel: focus moves into it and
+// stays there, the rest of the page is inert and doesn't scroll underneath
 class Navigation {
     constructor() {
         this.navbar = $('.navbar');
         this.toggle = $('.navbar__toggle');
         this.menu = $('.navbar__menu');
-        this.links = $$('.navbar__link');
+        this.links = $$('.navbar__menu a[href^="#"]');
         this.isOpen = false;
+        this.inertElements = [];
+        this.scrollPosition = 0;
         this.init();
     }
     
@@ -67,16 +303,17 @@ class Navigation {
             this.toggle.addEventListener('click', () => this.toggleMenu());
         }
         
-        // Close menu on link click
+        // Close menu on link click, the link's target takes it from there
         this.links.forEach(link => {
             link.addEventListener('click', () => {
-                if (this.isOpen) this.closeMenu();
+                if (this.isOpen) this.closeMenu({ returnFocus: false });
             });
         });
         
         // Navbar scroll effect
-        this.handleScroll();
-        window.addEventListener('scroll', throttle(() => this.handleScroll(), 100));
+        scrollScheduler.subscribe({
+            write: ({ scrollY }) => this.handleScroll(scrollY)
+        });
         
         // Close menu on outside click
         document.addEventListener('click', (e) => {
@@ -85,11 +322,18 @@ class Navigation {
             }
         });
         
-        // Handle escape key
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && this.isOpen) {
-                this.closeMenu();
-            }
+        document.addEventListener('escape-pressed', (e) => {
+            if (!this.isOpen || e.defaultPrevented) return;
+            e.preventDefault();
+            this.closeMenu();
+        });
+        
+        document.addEventListener('keydown', (e) => this.trapFocus(e));
+        
+        // Growing past the breakpoint hides the toggle with the menu still open
+        const mobile = window.matchMedia('(max-width: 768px)');
+        mobile.addEventListener('change', () => {
+            if (!mobile.matches && this.isOpen) this.closeMenu({ returnFocus: false });
         });
     }
     
@@ -101,18 +345,67 @@ class Navigation {
         this.isOpen = true;
         this.menu.classList.add('navbar__menu--active');
         this.toggle.setAttribute('aria-expanded', 'true');
-        document.body.style.overflow = 'hidden';
+        this.lockScroll();
+        
+        // Everything outside the navbar, except the live region used by announce()
+        this.inertElements = Array.from(document.body.children).filter(el => {
+            return el !== this.navbar && !el.hasAttribute('inert') && !el.hasAttribute('aria-live');
+        });
+        this.inertElements.forEach(el => el.setAttribute('inert', ''));
+        
+        const firstLink = this.menu.querySelector('a[href]');
+        if (firstLink) firstLink.focus();
     }
     
-    closeMenu() {
+    closeMenu({ returnFocus = true } = {}) {
         this.isOpen = false;
         this.menu.classList.remove('navbar__menu--active');
         this.toggle.setAttribute('aria-expanded', 'false');
-        document.body.style.overflow = '';
+        
+        this.inertElements.forEach(el => el.removeAttribute('inert'));
+        this.inertElements = [];
+        this.unlockScroll();
+        
+        if (returnFocus) this.toggle.focus();
+    }
+    
+    // Tab and Shift+Tab cycle between the toggle and the menu items
+    trapFocus(e) {
+        if (!this.isOpen || e.key !== 'Tab') return;
+        
+        const focusable = [this.toggle, ...this.menu.querySelectorAll('a[href], button, select')];
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (document.activeElement === last || !focusable.includes(document.activeElement))) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+    
+    // overflow: hidden on the body doesn't stop iOS Safari from scrolling, so the
+    // body is fixed in place instead and the scroll position put back on release
+    lockScroll() {
+        this.scrollPosition = window.pageYOffset;
+        document.body.style.top = `-${this.scrollPosition}px`;
+        document.body.classList.add('scroll-locked');
     }
     
-    handleScroll() {
-        if (window.scrollY > 50) {
+    unlockScroll() {
+        document.body.classList.remove('scroll-locked');
+        document.body.style.top = '';
+        // "instant" skips the smooth scroll-behavior set on <html>
+        window.scrollTo({ top: this.scrollPosition, behavior: 'instant' });
+    }
+    
+    handleScroll(scrollY) {
+        // The locked body reports no scroll, keep the navbar as it was
+        if (this.isOpen) return;
+        
+        if (scrollY > 50) {
             this.navbar.classList.add('navbar--scrolled');
         } else {
             this.navbar.classList.remove('navbar--scrolled');
@@ -135,19 +428,14 @@ class ParallaxEffect {
             return;
         }
         
-        this.updateParallax();
-        window.addEventListener('scroll', () => {
-            requestAnimationFrame(() => this.updateParallax());
+        // Nothing to move once the hero is scrolled out of view
+        scrollScheduler.subscribe({
+            element: $('.hero__parallax'),
+            write: ({ scrollY }) => this.updateParallax(scrollY)
         });
-        
-        window.addEventListener('resize', debounce(() => {
-            this.updateParallax();
-        }, 250));
     }
     
-    updateParallax() {
-        const scrolled = window.pageYOffset;
-        
+    updateParallax(scrolled) {
         this.elements.forEach(element => {
             const speed = element.dataset.speed || 0.5;
             const yPos = -(scrolled * speed);
@@ -184,12 +472,6 @@ class ScrollReveal {
                     const delay = entry.target.dataset.delay || 0;
                     setTimeout(() => {
                         entry.target.classList.add('revealed');
-                        
-                        // Trigger counter animation if element has counter
-                        const counter = entry.target.querySelector('[data-counter]');
-                        if (counter && !counter.classList.contains('counted')) {
-                            this.animateCounter(counter);
-                        }
                     }, delay);
                     
                     // Stop observing after reveal
@@ -206,26 +488,6 @@ class ScrollReveal {
             observer.observe(element);
         });
     }
-    
-    animateCounter(element) {
-        element.classList.add('counted');
-        const target = parseInt(element.dataset.counter);
-        const duration = 2000; // 2 seconds
-        const step = target / (duration / 16); // 60fps
-        let current = 0;
-        
-        const updateCounter = () => {
-            current += step;
-            if (current < target) {
-                element.textContent = Math.floor(current);
-                requestAnimationFrame(updateCounter);
-            } else {
-                element.textContent = target;
-            }
-        };
-        
-        updateCounter();
-    }
 }
 
 // ============= SMOOTH SCROLL =============
@@ -241,279 +503,3014 @@ class SmoothScroll {
                 const href = link.getAttribute('href');
                 if (href === '#') return;
                 
-                const target = $(href);
+                // Hashes may carry params (#cotacao?produto=auto), so look up the id only
+                const { id } = parseHash(href);
+                const target = id && document.getElementById(id);
                 if (target) {
                     e.preventDefault();
-                    const offset = 80; // Navbar height
-                    smoothScrollTo(target, offset);
                     
                     // Update URL without jumping
                     history.pushState(null, null, href);
+                    
+                    // pushState doesn't fire hashchange, let interested components know;
+                    // before scrolling, since ProductRouter may have to show the section again
+                    document.dispatchEvent(new CustomEvent('hash-navigate', { detail: { hash: href } }));
+                    
+                    smoothScrollTo(target, getNavbarOffset());
+                    track('section_navigate', { section: id });
                 }
             });
         });
     }
 }
 
-// ============= CARD TILT EFFECT =============
-class CardTilt {
+// ============= PRODUCT PAGES =============
+// Routes like "#seguros/residencial" show that product's page (rendered from
+// products.json by catalog.js) in place of the one-page sections; any other
+// hash brings the sections back. Unknown product routes get a not-found page.
+class ProductRouter {
     constructor() {
-        this.cards = $$('[data-tilt]');
+        this.container = $('[data-product-pages]');
+        if (!this.container) return;
+        
+        this.prefix = `${this.container.dataset.productPages}/`;
+        this.views = Array.from(this.container.querySelectorAll('[data-route]'));
+        this.notFound = this.container.querySelector('[data-route-not-found]');
+        this.sections = Array.from($$('body > header, body > section')).filter(el => el !== this.container);
+        this.description = $('meta[name="description"]');
+        this.current = null;
         this.init();
     }
     
     init() {
-        if (this.cards.length === 0) return;
+        // Back/forward and links typed or pasted into the address bar
+        window.addEventListener('hashchange', () => this.route({ scroll: true }));
+        // Section links handled by SmoothScroll, which scrolls on its own
+        document.addEventListener('hash-navigate', () => this.route());
         
-        // Check for touch device
-        if ('ontouchstart' in window) return;
-        
-        this.cards.forEach(card => {
-            card.addEventListener('mousemove', (e) => this.handleMove(e, card));
-            card.addEventListener('mouseleave', () => this.handleLeave(card));
+        // translatePage() puts the site title back, so the page's goes in again
+        document.addEventListener('locale-change', () => {
+            if (this.current) this.updateMeta();
         });
+        
+        this.route({ initial: true });
+    }
+    
+    match() {
+        const { id } = parseHash();
+        if (!id.startsWith(this.prefix)) return null;
+        return this.views.find(view => view.dataset.route === id) || this.notFound;
     }
     
-    handleMove(e, card) {
-        const rect = card.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
+    route({ initial = false, scroll = false } = {}) {
+        const view = this.match();
+        if (view === this.current) return;
+        this.current = view;
         
-        const centerX = rect.width / 2;
-        const centerY = rect.height / 2;
+        this.container.hidden = !view;
+        this.views.concat(this.notFound).forEach(el => {
+            el.hidden = el !== view;
+        });
+        this.sections.forEach(section => {
+            section.hidden = Boolean(view);
+        });
+        this.updateMeta();
         
-        const rotateX = (y - centerY) / 20;
-        const rotateY = (centerX - x) / 20;
+        if (view) {
+            window.scrollTo(0, 0);
+            // Screen readers start reading the new page, as after a page load
+            if (!initial) view.querySelector('h1').focus({ preventScroll: true });
+            track('product_page_view', { product: view.dataset.product || 'not_found' });
+            return;
+        }
         
-        card.style.transform = `perspective(1000px) rotateX(${rotateX}deg) rotateY(${rotateY}deg) scale(1.02)`;
+        // The browser couldn't scroll to the section while it was hidden
+        const { id } = parseHash();
+        const target = scroll && id && document.getElementById(id);
+        if (target) {
+            window.scrollTo(0, target.getBoundingClientRect().top + window.pageYOffset - getNavbarOffset());
+        }
     }
     
-    handleLeave(card) {
-        card.style.transform = '';
+    updateMeta() {
+        if (!this.current) {
+            document.title = t('meta.title');
+            if (this.description) this.description.setAttribute('content', t('meta.description'));
+            return;
+        }
+        
+        const heading = this.current.querySelector('h1');
+        const intro = this.current.querySelector('.section__subtitle');
+        document.title = t('productPage.title', { product: heading.textContent.trim() });
+        if (this.description) this.description.setAttribute('content', intro.textContent.trim());
     }
 }
 
-// ============= FORM HANDLER =============
-class FormHandler {
+// ============= SCROLL SPY =============
+// Marks the navbar link of the section under the navbar with aria-current and
+// keeps the hash in step, replacing the history entry rather than adding one
+class ScrollSpy {
     constructor() {
-        this.form = $('.contact__form');
-        if (!this.form) return;
+        this.links = Array.from($$('.navbar__link[href^="#"]'));
+        this.sections = this.links
+            .map(link => document.getElementById(parseHash(link.getAttribute('href')).id))
+            .filter(Boolean);
+        if (this.sections.length === 0 || !('IntersectionObserver' in window)) return;
         
-        this.inputs = this.form.querySelectorAll('.form__input');
-        this.phoneInput = this.form.querySelector('#phone');
+        this.active = null;
+        this.observer = null;
         this.init();
     }
     
     init() {
-        // Form submission
-        this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+        this.observe();
         
-        // Real-time validation
-        this.inputs.forEach(input => {
-            input.addEventListener('blur', () => this.validateField(input));
-            input.addEventListener('input', () => {
-                if (input.parentElement.classList.contains('form__group--error')) {
-                    this.validateField(input);
-                }
-            });
+        // The hash follows once scrolling settles, so smooth scrolls don't rewrite it on the way;
+        // a new viewport size moves the line under the navbar. Frames where neither
+        // changed (the one after subscribing, a tab coming back) are left alone
+        const updateHash = debounce(() => this.updateHash(), 150);
+        const observe = debounce(() => this.observe(), 250);
+        let last = { scrollY: window.pageYOffset, viewportWidth: window.innerWidth, viewportHeight: window.innerHeight };
+        
+        scrollScheduler.subscribe({
+            write: (state) => {
+                if (state.viewportWidth !== last.viewportWidth || state.viewportHeight !== last.viewportHeight) observe();
+                if (state.scrollY !== last.scrollY) updateHash();
+                last = state;
+            }
         });
         
-        // Phone mask
-        if (this.phoneInput) {
-            this.phoneInput.addEventListener('input', (e) => this.maskPhone(e));
-        }
+        // The browser scrolls to the section itself, without allowing for the navbar
+        window.addEventListener('load', () => this.restore());
+        window.addEventListener('popstate', () => this.restore());
     }
     
-    maskPhone(e) {
-        let value = e.target.value.replace(/\D/g, '');
+    // The current section is the one crossing a one-pixel line just below the navbar;
+    // over sections without a link (the partners strip) the previous one stays current
+    observe() {
+        if (this.observer) this.observer.disconnect();
         
-        if (value.length > 11) {
-            value = value.slice(0, 11);
-        }
+        const offset = getNavbarOffset();
+        const bottom = Math.max(window.innerHeight - offset - 1, 0);
+        this.observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) this.setActive(entry.target);
+            });
+        }, { rootMargin: `-${offset}px 0px -${bottom}px 0px` });
         
-        if (value.length > 6) {
-            value = value.replace(/^(\d{2})(\d{5})(\d{4}).*/, '($1) $2-$3');
-        } else if (value.length > 2) {
-            value = value.replace(/^(\d{2})(\d{0,5})/, '($1) $2');
-        } else if (value.length > 0) {
-            value = value.replace(/^(\d*)/, '($1');
-        }
+        this.sections.forEach(section => this.observer.observe(section));
+    }
+    
+    setActive(section) {
+        if (section === this.active) return;
+        this.active = section;
         
-        e.target.value = value;
+        this.links.forEach(link => {
+            if (parseHash(link.getAttribute('href')).id === section.id) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
     }
     
-    validateField(field) {
-        const parent = field.parentElement;
-        const type = field.type;
-        const value = field.value.trim();
-        let isValid = true;
+    updateHash() {
+        // Sections are hidden while ProductRouter shows a product page
+        if (!this.active || this.active.hidden) return;
         
-        // Remove previous error state
-        parent.classList.remove('form__group--error');
+        const { id } = parseHash();
+        if (id === this.active.id) return;
         
-        // Required field check
-        if (field.hasAttribute('required') && !value) {
-            isValid = false;
-        }
+        // Deep links like "#cotacao?produto=auto" or "#privacidade" stay while what they point to is on screen
+        const target = id && document.getElementById(id);
+        if (target && !this.sections.includes(target) && isInViewport(target)) return;
         
-        // Email validation
-        if (type === 'email' && value) {
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            isValid = emailRegex.test(value);
-        }
+        // Back at the top the page needs no hash
+        const isTop = this.active === this.sections[0];
+        if (isTop && !id) return;
+        history.replaceState(history.state, '', isTop ? location.pathname + location.search : `#${this.active.id}`);
+    }
+    
+    restore() {
+        const { id } = parseHash();
+        const section = this.sections.find(el => el.id === id);
+        if (!section || section.hidden) return;
         
-        // Phone validation
-        if (type === 'tel' && value) {
-            const phoneRegex = /^\(\d{2}\) \d{5}-\d{4}$/;
-            isValid = phoneRegex.test(value);
-        }
+        this.setActive(section);
+        window.scrollTo({
+            top: section.getBoundingClientRect().top + window.pageYOffset - getNavbarOffset(),
+            behavior: 'instant'
+        });
+    }
+}
+
+// ============= CARD TILT EFFECT =============
+// [data-tilt] cards lean towards the mouse, follow the device's tilt on phones
+// and lean slightly towards whatever has keyboard focus inside them. Per card:
+// data-tilt-max (degrees), data-tilt-perspective (px), data-tilt-scale and
+// data-tilt-glare, which adds a glare layer (its value is the highest opacity).
+const TILT_DEFAULTS = { max: 10, perspective: 1000, scale: 1.02, glare: 0.3 };
+// Keyboard focus only hints at the effect
+const TILT_FOCUS_FACTOR = 0.3;
+// Degrees the device is turned, either way, for the card's full angle
+const TILT_ORIENTATION_RANGE = 30;
+
+const clampTilt = (value) => Math.max(-1, Math.min(1, value));
+
+class CardTilt {
+    constructor() {
+        this.motion = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.cards = Array.from($$('[data-tilt]')).map(element => this.setup(element));
+        this.pending = new Map();
+        this.frame = null;
+        this.init();
+    }
+    
+    setup(element) {
+        const { tiltMax, tiltPerspective, tiltScale, tiltGlare } = element.dataset;
+        const read = (value, fallback) => {
+            const number = parseFloat(value);
+            return isNaN(number) ? fallback : number;
+        };
         
-        // Select validation
-        if (field.tagName === 'SELECT' && field.hasAttribute('required')) {
-            isValid = value !== '';
-        }
+        const card = {
+            element,
+            max: read(tiltMax, TILT_DEFAULTS.max),
+            perspective: read(tiltPerspective, TILT_DEFAULTS.perspective),
+            scale: read(tiltScale, TILT_DEFAULTS.scale),
+            glare: tiltGlare !== undefined ? read(tiltGlare, TILT_DEFAULTS.glare) : 0,
+            rect: null
+        };
         
-        if (!isValid) {
-            parent.classList.add('form__group--error');
+        if (card.glare > 0) {
+            const glare = document.createElement('span');
+            glare.className = 'tilt__glare';
+            glare.setAttribute('aria-hidden', 'true');
+            element.appendChild(glare);
         }
         
-        return isValid;
+        return card;
     }
     
-    validateForm() {
-        let isValid = true;
+    init() {
+        if (this.cards.length === 0) return;
         
-        this.inputs.forEach(input => {
-            if (!this.validateField(input)) {
-                isValid = false;
-            }
+        // Turning reduced motion on mid-visit settles every card
+        this.motion.addEventListener('change', () => {
+            if (this.motion.matches) this.cards.forEach(card => this.reset(card));
         });
         
-        return isValid;
+        this.cards.forEach(card => {
+            const { element } = card;
+            
+            // Measured once per visit: the tilted card's own box would feed back into the angle
+            element.addEventListener('pointerenter', (e) => {
+                if (e.pointerType === 'mouse') card.rect = element.getBoundingClientRect();
+            });
+            
+            element.addEventListener('pointermove', (e) => {
+                if (e.pointerType !== 'mouse' || !card.rect) return;
+                this.queue(card, {
+                    x: ((e.clientX - card.rect.left) / card.rect.width) * 2 - 1,
+                    y: ((e.clientY - card.rect.top) / card.rect.height) * 2 - 1,
+                    factor: 1
+                });
+            });
+            
+            element.addEventListener('pointerleave', (e) => {
+                if (e.pointerType !== 'mouse') return;
+                card.rect = null;
+                this.reset(card);
+            });
+            
+            element.addEventListener('focusin', (e) => {
+                if (document.body.classList.contains('using-mouse')) return;
+                const bounds = element.getBoundingClientRect();
+                const target = e.target.getBoundingClientRect();
+                this.queue(card, {
+                    x: ((target.left + target.width / 2 - bounds.left) / bounds.width) * 2 - 1,
+                    y: ((target.top + target.height / 2 - bounds.top) / bounds.height) * 2 - 1,
+                    factor: TILT_FOCUS_FACTOR
+                });
+            });
+            
+            element.addEventListener('focusout', (e) => {
+                if (!element.contains(e.relatedTarget)) this.reset(card);
+            });
+        });
+        
+        this.setupOrientation();
     }
     
-    handleSubmit(e) {
-        e.preventDefault();
+    // Phones lean the cards with the device, relative to how it was first held
+    setupOrientation() {
+        if (typeof DeviceOrientationEvent === 'undefined') return;
+        if (!window.matchMedia('(hover: none) and (pointer: coarse)').matches) return;
         
-        if (!this.validateForm()) {
-            // Focus first error field
-            const firstError = this.form.querySelector('.form__group--error .form__input');
-            if (firstError) firstError.focus();
+        let baseline = null;
+        const handleOrientation = (e) => {
+            if (e.beta === null || e.gamma === null) return;
+            if (!baseline) baseline = { beta: e.beta, gamma: e.gamma };
+            
+            const position = {
+                x: (e.gamma - baseline.gamma) / TILT_ORIENTATION_RANGE,
+                y: (baseline.beta - e.beta) / TILT_ORIENTATION_RANGE,
+                factor: 1
+            };
+            this.cards.forEach(card => this.queue(card, position));
+        };
+        const listen = () => window.addEventListener('deviceorientation', handleOrientation);
+        
+        // iOS only hands out the sensor after a prompt, which has to come from a tap
+        if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+            const askPermission = () => {
+                this.cards.forEach(card => card.element.removeEventListener('click', askPermission));
+                DeviceOrientationEvent.requestPermission()
+                    .then(state => {
+                        if (state === 'granted') listen();
+                    })
+                    .catch(() => {});
+            };
+            this.cards.forEach(card => card.element.addEventListener('click', askPermission));
+        } else {
+            listen();
+        }
+    }
+    
+    // Events only note where to lean; styles are written once per frame
+    queue(card, position) {
+        if (this.motion.matches) return;
+        this.pending.set(card, position);
+        if (this.frame === null) {
+            this.frame = requestAnimationFrame(() => this.render());
+        }
+    }
+    
+    render() {
+        this.frame = null;
+        this.pending.forEach((position, card) => this.apply(card, position));
+        this.pending.clear();
+    }
+    
+    apply(card, { x, y, factor }) {
+        const { element } = card;
+        
+        // Don't move the card around while its estimator is being filled in
+        if (element.querySelector('.card__estimator[open]')) {
+            this.reset(card);
             return;
         }
         
-        // Simulate form submission
-        const submitBtn = this.form.querySelector('button[type="submit"]');
-        const originalText = submitBtn.innerHTML;
+        const pointX = clampTilt(x);
+        const pointY = clampTilt(y);
+        const angle = card.max * factor;
+        const rotateX = (pointY * angle).toFixed(2);
+        const rotateY = (-pointX * angle).toFixed(2);
+        const scale = 1 + (card.scale - 1) * factor;
         
-        // Show loading state
-        submitBtn.innerHTML = '<span>Enviando...</span>';
-        submitBtn.disabled = true;
+        element.classList.add('tilt--active');
+        element.style.transform = `perspective(${card.perspective}px) rotateX(${rotateX}deg) rotateY(${rotateY}deg) scale(${scale})`;
         
-        // Simulate API call
-        setTimeout(() => {
-            // Reset form
-            this.form.reset();
-            
-            // Show success message
-            const feedback = $('.form__feedback');
-            const successMsg = $('.feedback--success');
-            
-            feedback.style.display = 'block';
-            successMsg.style.display = 'flex';
-            
-            // Reset button
-            submitBtn.innerHTML = originalText;
-            submitBtn.disabled = false;
-            
-            // Hide message after 5 seconds
-            setTimeout(() => {
-                feedback.style.display = 'none';
-                successMsg.style.display = 'none';
-            }, 5000);
-            
-            // Scroll to form top
-            smoothScrollTo(this.form, 100);
-        }, 2000);
+        if (card.glare > 0) {
+            element.style.setProperty('--tilt-glare-x', `${(pointX + 1) * 50}%`);
+            element.style.setProperty('--tilt-glare-y', `${(pointY + 1) * 50}%`);
+            element.style.setProperty('--tilt-glare-opacity', String(card.glare * factor));
+        }
+    }
+    
+    // Clearing the inline transform hands the way back to the card's own eased transition
+    reset(card) {
+        this.pending.delete(card);
+        card.element.classList.remove('tilt--active');
+        card.element.style.transform = '';
+        if (card.glare > 0) card.element.style.setProperty('--tilt-glare-opacity', '0');
     }
 }
 
-// ============= BACK TO TOP =============
-class BackToTop {
+// ============= PREMIUM ESTIMATOR =============
+// Indicative price ranges on the product cards. The maths lives in
+// estimator.js; this class only loads the rate table and wires the widgets.
+class PremiumEstimator {
     constructor() {
-        this.button = $('.back-to-top');
-        if (!this.button) return;
+        this.forms = $$('[data-estimator]');
+        this.grid = $('[data-rate-table]');
+        this.table = null;
+        this.tableRequest = null;
         this.init();
     }
     
     init() {
-        // Show/hide button on scroll
-        window.addEventListener('scroll', throttle(() => {
-            if (window.pageYOffset > window.innerHeight * 0.5) {
-                this.button.classList.add('back-to-top--visible');
-            } else {
-                this.button.classList.remove('back-to-top--visible');
-            }
-        }, 200));
+        if (this.forms.length === 0 || !this.grid) return;
         
-        // Scroll to top on click
-        this.button.addEventListener('click', () => {
-            window.scrollTo({
-                top: 0,
-                behavior: 'smooth'
+        this.forms.forEach(form => {
+            // Fetch the rate table as soon as someone shows interest
+            const details = form.closest('details');
+            if (details) {
+                details.addEventListener('toggle', () => {
+                    if (details.open) this.loadTable().catch(() => {});
+                });
+            }
+            
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.calculate(form);
+            });
+            
+            const useLink = form.querySelector('.estimator__use');
+            if (useLink) {
+                useLink.addEventListener('click', () => {
+                    if (!form.estimate) return;
+                    document.dispatchEvent(new CustomEvent('estimate-selected', { detail: form.estimate }));
+                });
+            }
+        });
+        
+        document.addEventListener('locale-change', () => this.forms.forEach(form => this.render(form)));
+    }
+    
+    loadTable() {
+        if (!this.tableRequest) {
+            this.tableRequest = fetch(this.grid.dataset.rateTable)
+                .then(response => {
+                    if (!response.ok) throw new Error(`Rate table responded with ${response.status}`);
+                    return response.json();
+                })
+                .then(table => {
+                    this.table = table;
+                    return table;
+                })
+                .catch(error => {
+                    // Allow a later attempt to retry
+                    this.tableRequest = null;
+                    throw error;
+                });
+        }
+        return this.tableRequest;
+    }
+    
+    async calculate(form) {
+        const inputs = {};
+        
+        form.querySelectorAll('.estimator__input').forEach(input => {
+            inputs[input.name] = input.value.trim();
+        });
+        
+        form.estimate = null;
+        form.estimateError = null;
+        
+        try {
+            const table = await this.loadTable();
+            form.estimate = PierucciniEstimator.estimatePremium(table, form.dataset.estimator, inputs);
+        } catch (error) {
+            form.estimateError = error instanceof RangeError ? 'estimator.invalid' : 'estimator.unavailable';
+            if (!(error instanceof RangeError)) console.warn('Estimator unavailable:', error);
+        }
+        
+        this.render(form);
+    }
+    
+    render(form) {
+        const result = form.querySelector('.estimator__result');
+        const range = form.querySelector('.estimator__range');
+        const useLink = form.querySelector('.estimator__use');
+        if (!form.estimate && !form.estimateError) return;
+        
+        result.hidden = false;
+        useLink.hidden = !form.estimate;
+        range.textContent = form.estimate
+            ? t('estimator.range', { min: formatCurrency(form.estimate.min), max: formatCurrency(form.estimate.max) })
+            : t(form.estimateError);
+    }
+}
+
+// ============= FORM HANDLER =============
+// Error raised when a lead can't be delivered; `type` tells the UI how to react
+class LeadSubmissionError extends Error {
+    constructor(type, { status = null, fields = null, retryAfter = null, challenge = null } = {}) {
+        super(`Lead submission failed: ${type}`);
+        this.name = 'LeadSubmissionError';
+        // 'timeout' | 'network' | 'http' | 'validation' | 'rejected' | 'rate_limited' | 'challenge_required' | 'unauthorized'
+        this.type = type;
+        this.status = status;
+        this.fields = fields;
+        this.retryAfter = retryAfter;
+        this.challenge = challenge;
+    }
+}
+
+// Call one of the server's JSON endpoints and return the response body; every
+// failure is raised as a LeadSubmissionError
+const requestJson = async (endpoint, { method = 'GET', payload, timeout }) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    let response;
+    
+    try {
+        response = await fetch(endpoint, {
+            method,
+            headers: payload === undefined ? { 'Accept': 'application/json' } : {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: payload === undefined ? undefined : JSON.stringify(payload),
+            signal: controller.signal
+        });
+    } catch (error) {
+        throw new LeadSubmissionError(error.name === 'AbortError' ? 'timeout' : 'network');
+    } finally {
+        clearTimeout(timer);
+    }
+    
+    // Error bodies are optional, a proxy may answer with plain HTML
+    const body = await response.json().catch(() => ({}));
+    const { status } = response;
+    
+    if (response.ok) {
+        return body;
+    }
+    if (status === 422 && body.fields) {
+        throw new LeadSubmissionError('validation', { status, fields: body.fields });
+    }
+    if (status === 428 && body.challenge) {
+        throw new LeadSubmissionError('challenge_required', { status, challenge: body.challenge });
+    }
+    if (status === 429) {
+        const retryAfter = parseInt(response.headers.get('Retry-After')) || body.retryAfter || null;
+        throw new LeadSubmissionError('rate_limited', { status, retryAfter });
+    }
+    if (status === 401) {
+        throw new LeadSubmissionError('unauthorized', { status });
+    }
+    if (status === 403) {
+        throw new LeadSubmissionError('rejected', { status });
+    }
+    throw new LeadSubmissionError('http', { status });
+};
+
+const postJson = (endpoint, payload, timeout) => requestJson(endpoint, { method: 'POST', payload, timeout });
+
+// Client side of the challenge the server asks for after suspicious signals.
+// Real providers (Turnstile, hCaptcha...) plug in here with a server verifier.
+const CHALLENGE_PROVIDERS = {
+    // Local stand-in for tests and development: always passes
+    stub: {
+        solve: async () => 'stub-token'
+    }
+};
+
+// ============= OFFLINE LEAD QUEUE =============
+// Keeps leads that couldn't reach the server and retries them with exponential
+// backoff when the connection returns or after a reload. A queued lead carries
+// the CPF/CNPJ, so it lives in sessionStorage (gone with the tab) and expires
+// after LEAD_QUEUE_TTL even if the tab stays open.
+const LEAD_QUEUE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+class LeadQueue {
+    constructor({ send, onChange, onSent, storageKey = 'pieruccini:lead-queue' }) {
+        this.send = send;
+        this.onChange = onChange || (() => {});
+        this.onSent = onSent || (() => {});
+        this.storageKey = storageKey;
+        this.baseDelay = 5000; // 5 seconds
+        this.maxDelay = 5 * 60 * 1000; // 5 minutes
+        this.retryTimer = null;
+        this.isFlushing = false;
+        this.init();
+    }
+    
+    init() {
+        window.addEventListener('online', () => this.flush());
+        
+        // Earlier versions kept the queue in localStorage, don't leave it behind
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            // Storage unavailable, nothing to clean up
+        }
+        
+        // Leads left over from before a reload
+        if (this.size > 0) this.flush();
+    }
+    
+    get size() {
+        return this.read().length;
+    }
+    
+    read() {
+        let items;
+        try {
+            items = JSON.parse(sessionStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            return [];
+        }
+        
+        // Entries without createdAt predate the TTL and are treated as expired
+        const now = Date.now();
+        return items.filter(item => item.createdAt && now - item.createdAt < LEAD_QUEUE_TTL);
+    }
+    
+    write(items) {
+        try {
+            if (items.length === 0) {
+                sessionStorage.removeItem(this.storageKey);
+            } else {
+                sessionStorage.setItem(this.storageKey, JSON.stringify(items));
+            }
+        } catch (error) {
+            // Private mode or full storage - nothing we can persist
+            console.warn('Lead queue unavailable:', error);
+            return false;
+        }
+        
+        this.onChange(items.length);
+        return true;
+    }
+    
+    add(payload) {
+        const items = this.read();
+        
+        // Same client id means the same submission, don't store it twice
+        if (items.some(item => item.id === payload.clientId)) return true;
+        
+        items.push({
+            id: payload.clientId,
+            payload,
+            attempts: 0,
+            createdAt: Date.now(),
+            nextAttemptAt: Date.now()
+        });
+        
+        const stored = this.write(items);
+        if (stored) this.scheduleRetry();
+        return stored;
+    }
+    
+    remove(id) {
+        this.write(this.read().filter(item => item.id !== id));
+    }
+    
+    update(id, changes) {
+        this.write(this.read().map(item => item.id === id ? { ...item, ...changes } : item));
+    }
+    
+    // Exponential backoff with jitter so many clients don't retry in lockstep
+    getDelay(attempts) {
+        const delay = Math.min(this.baseDelay * 2 ** attempts, this.maxDelay);
+        return delay / 2 + Math.random() * (delay / 2);
+    }
+    
+    scheduleRetry() {
+        clearTimeout(this.retryTimer);
+        
+        const items = this.read();
+        if (items.length === 0) return;
+        
+        const nextAttemptAt = Math.min(...items.map(item => item.nextAttemptAt));
+        this.retryTimer = setTimeout(() => this.flush(), Math.max(nextAttemptAt - Date.now(), 0));
+    }
+    
+    async flush() {
+        // While offline the 'online' event will trigger the next attempt
+        if (this.isFlushing || !navigator.onLine) return;
+        
+        this.isFlushing = true;
+        clearTimeout(this.retryTimer);
+        
+        try {
+            for (const item of this.read()) {
+                if (item.nextAttemptAt > Date.now()) continue;
+                
+                try {
+                    await this.send(item.payload);
+                    this.remove(item.id);
+                    this.onSent(item.payload);
+                } catch (error) {
+                    if (error.type === 'validation' || error.type === 'rejected') {
+                        // Retrying can never succeed, drop it instead of looping forever
+                        console.warn('Queued lead rejected by server:', error.fields || error.type);
+                        this.remove(item.id);
+                        continue;
+                    }
+                    
+                    const attempts = item.attempts + 1;
+                    this.update(item.id, {
+                        attempts,
+                        nextAttemptAt: Date.now() + this.getDelay(attempts)
+                    });
+                    
+                    // Still unreachable, the remaining items would fail the same way
+                    if (error.type === 'network' || error.type === 'timeout') break;
+                }
+            }
+        } finally {
+            this.isFlushing = false;
+        }
+        
+        this.scheduleRetry();
+    }
+}
+
+// ============= CEP ADDRESS LOOKUP =============
+// Providers resolve an 8-digit CEP to { street, neighborhood, city, state },
+// or null when it doesn't exist. The form picks one with data-cep-provider.
+const CEP_PROVIDERS = {
+    viacep: {
+        async lookup(cep) {
+            const response = await fetch(`https://viacep.com.br/ws/${cep}/json/`);
+            if (!response.ok) throw new Error(`ViaCEP responded with ${response.status}`);
+            
+            const data = await response.json();
+            if (data.erro) return null;
+            
+            return {
+                street: data.logradouro,
+                neighborhood: data.bairro,
+                city: data.localidade,
+                state: data.uf
+            };
+        }
+    },
+    
+    // Offline fixtures for tests and local development
+    fixture: {
+        addresses: {
+            '88010001': { street: 'Rua Felipe Schmidt', neighborhood: 'Centro', city: 'Florianópolis', state: 'SC' },
+            '88015200': { street: 'Avenida Mauro Ramos', neighborhood: 'Centro', city: 'Florianópolis', state: 'SC' },
+            '88062300': { street: 'Rua Laurindo Januário da Silveira', neighborhood: 'Lagoa da Conceição', city: 'Florianópolis', state: 'SC' },
+            '88101001': { street: 'Rua Koesa', neighborhood: 'Kobrasol', city: 'São José', state: 'SC' }
+        },
+        async lookup(cep) {
+            return this.addresses[cep] || null;
+        }
+    }
+};
+
+// Fills [data-address] fields next to a [data-cep-lookup] field once a full CEP is typed
+class CepAutofill {
+    constructor(handler) {
+        this.handler = handler;
+        this.form = handler.form;
+        this.fields = this.form.querySelectorAll('[data-cep-lookup]');
+        this.provider = CEP_PROVIDERS[this.form.dataset.cepProvider || 'viacep'];
+        this.lastLookup = new WeakMap();
+        
+        if (this.fields.length === 0) return;
+        if (!this.provider) {
+            console.warn(`Unknown CEP provider "${this.form.dataset.cepProvider}"`);
+            return;
+        }
+        this.init();
+    }
+    
+    init() {
+        this.fields.forEach(field => {
+            field.addEventListener('input', () => this.handleInput(field));
+        });
+        
+        // Manual edits stop the field from being overwritten by later lookups
+        this.form.querySelectorAll('[data-address]').forEach(target => {
+            target.addEventListener('input', (e) => {
+                if (e.isTrusted) delete target.dataset.autofilled;
+            });
+        });
+    }
+    
+    async handleInput(field) {
+        const cep = field.value.replace(/\D/g, '');
+        if (cep.length !== 8 || this.lastLookup.get(field) === cep) return;
+        this.lastLookup.set(field, cep);
+        
+        let address;
+        try {
+            address = await this.provider.lookup(cep);
+        } catch (error) {
+            // Lookup is a convenience, the address can still be typed by hand
+            console.warn('CEP lookup failed:', error);
+            return;
+        }
+        
+        // Ignore answers for a CEP that has since been edited
+        if (field.value.replace(/\D/g, '') !== cep) return;
+        
+        if (!address) {
+            if (window.announce) window.announce(t('cep.notFound'));
+            return;
+        }
+        
+        this.fill(field, address);
+    }
+    
+    fill(field, address) {
+        const scope = field.closest('.form__details') || this.form;
+        const values = {
+            street: address.street,
+            neighborhood: address.neighborhood,
+            city: address.city && address.state ? `${address.city}/${address.state}` : address.city,
+            state: address.state
+        };
+        
+        scope.querySelectorAll('[data-address]').forEach(target => {
+            const value = values[target.dataset.address];
+            
+            // Never overwrite something the user typed themselves
+            if (!value || (target.value && !target.dataset.autofilled)) return;
+            
+            target.value = value;
+            target.dispatchEvent(new Event('input', { bubbles: true }));
+            target.dataset.autofilled = 'true';
+            this.handler.validateField(target);
+        });
+        
+        if (window.announce) window.announce(t('cep.filled'));
+    }
+}
+
+// ============= QUOTE WIZARD =============
+// Splits the quote form into steps. The step and product live in the URL hash
+// (#cotacao?produto=auto&etapa=2) so reloads, back/forward and the product
+// card links all land on the right step; field values are kept as a draft
+// in sessionStorage for the same reason.
+// Left out of the draft: the CPF/CNPJ, which shouldn't sit in storage, and the
+// honeypot, so whatever a bot typed there isn't restored.
+const DRAFT_EXCLUDED_FIELDS = ['document', 'website'];
+
+class QuoteWizard {
+    constructor(handler) {
+        this.handler = handler;
+        this.form = handler.form;
+        this.steps = Array.from(this.form.querySelectorAll('.form__step'));
+        this.progressItems = this.form.querySelectorAll('.progress__step');
+        this.details = this.form.querySelectorAll('.form__details');
+        this.subject = this.form.querySelector('#subject');
+        this.backBtn = this.form.querySelector('[data-wizard="back"]');
+        this.nextBtn = this.form.querySelector('[data-wizard="next"]');
+        this.submitBtn = this.form.querySelector('button[type="submit"]');
+        this.storageKey = 'pieruccini:quote-draft';
+        this.current = 1;
+        
+        if (this.steps.length === 0) return;
+        this.init();
+    }
+    
+    get total() {
+        return Math.max(this.steps.length, 1);
+    }
+    
+    get isLastStep() {
+        return this.current === this.total;
+    }
+    
+    init() {
+        this.setDateLimits();
+        this.restoreDraft();
+        
+        this.subject.addEventListener('change', () => {
+            this.showDetails(this.subject.value);
+            if (parseHash().id === this.form.id) {
+                history.replaceState(null, '', this.getHash());
+            }
+        });
+        this.backBtn.addEventListener('click', () => this.goTo(this.current - 1, { history: 'push' }));
+        this.nextBtn.addEventListener('click', () => this.next());
+        
+        // Keep a draft so a reload doesn't lose what was typed
+        const saveDraft = debounce(() => this.saveDraft(), 300);
+        this.form.addEventListener('input', saveDraft);
+        this.form.addEventListener('change', saveDraft);
+        
+        // Back/forward between steps and product links from elsewhere on the page
+        window.addEventListener('popstate', () => this.applyHash());
+        document.addEventListener('hash-navigate', () => this.applyHash({ focus: true }));
+        
+        this.applyHash({ initial: true });
+    }
+    
+    // Limits relative to today can't be hard-coded in the markup
+    setDateLimits() {
+        const today = new Date();
+        const isoDate = (years) => {
+            const date = new Date(today.getFullYear() - years, today.getMonth(), today.getDate());
+            return date.toISOString().slice(0, 10);
+        };
+        
+        const vehicleYear = this.form.querySelector('#vehicleYear');
+        if (vehicleYear) vehicleYear.max = today.getFullYear() + 1;
+        
+        const birthDate = this.form.querySelector('#birthDate');
+        if (birthDate) {
+            birthDate.min = isoDate(80);
+            birthDate.max = isoDate(18);
+        }
+    }
+    
+    // Only the selected product's fields are enabled, so only they validate and submit
+    showDetails(product) {
+        this.details.forEach(group => {
+            const isActive = group.dataset.product === product;
+            group.hidden = !isActive;
+            group.querySelectorAll('.form__input').forEach(field => {
+                field.disabled = !isActive;
+            });
+        });
+    }
+    
+    isStepValid(step) {
+        const fields = step.querySelectorAll('.form__input');
+        return Array.from(fields).every(field => this.handler.isFieldValid(field));
+    }
+    
+    next() {
+        const step = this.steps[this.current - 1];
+        const fields = Array.from(step.querySelectorAll('.form__input'));
+        const invalid = fields.filter(field => !this.handler.validateField(field));
+        
+        if (invalid.length > 0) {
+            invalid[0].focus();
+            return;
+        }
+        
+        this.goTo(this.current + 1, { history: 'push' });
+    }
+    
+    goTo(requested, { history: mode = null, focus = mode === 'push' } = {}) {
+        let step = Math.min(Math.max(requested, 1), this.total);
+        
+        // Never land past a step that still has invalid fields
+        const blocking = this.steps.slice(0, step - 1).findIndex(el => !this.isStepValid(el));
+        if (blocking !== -1) step = blocking + 1;
+        
+        const changed = step !== this.current;
+        this.current = step;
+        this.render();
+        
+        if (mode === 'push' && changed) {
+            history.pushState(null, '', this.getHash());
+        } else if (mode === 'replace') {
+            history.replaceState(null, '', this.getHash());
+        }
+        
+        if (focus) {
+            const firstField = this.steps[step - 1].querySelector('.form__input:not([disabled])');
+            if (firstField) firstField.focus({ preventScroll: true });
+        }
+        
+        if (changed) {
+            document.dispatchEvent(new CustomEvent('form-step', { detail: { form: this.form.id, step } }));
+        }
+        
+        if (changed && window.announce) {
+            const label = this.steps[step - 1].querySelector('.form__legend');
+            window.announce(t('wizard.step', { step, total: this.total, label: label ? label.textContent : '' }));
+        }
+    }
+    
+    render() {
+        this.steps.forEach((el, index) => {
+            el.hidden = index + 1 !== this.current;
+        });
+        
+        this.progressItems.forEach(item => {
+            const step = parseInt(item.dataset.step);
+            item.classList.toggle('progress__step--active', step === this.current);
+            item.classList.toggle('progress__step--done', step < this.current);
+            if (step === this.current) {
+                item.setAttribute('aria-current', 'step');
+            } else {
+                item.removeAttribute('aria-current');
+            }
+        });
+        
+        if (this.backBtn) this.backBtn.hidden = this.current === 1;
+        if (this.nextBtn) this.nextBtn.hidden = this.isLastStep;
+        if (this.submitBtn) this.submitBtn.hidden = !this.isLastStep;
+    }
+    
+    showFieldStep(field) {
+        const step = this.steps.indexOf(field.closest('.form__step')) + 1;
+        if (step > 0 && step !== this.current) {
+            this.current = step;
+            this.render();
+        }
+    }
+    
+    getHash() {
+        const params = new URLSearchParams();
+        if (this.subject.value) params.set('produto', this.subject.value);
+        if (this.current > 1) params.set('etapa', this.current);
+        
+        const query = params.toString();
+        return `#${this.form.id}${query ? `?${query}` : ''}`;
+    }
+    
+    applyHash({ initial = false, focus = false } = {}) {
+        const { id, params } = parseHash();
+        if (id !== this.form.id) {
+            if (initial) this.render();
+            return;
+        }
+        
+        // Pre-select the product from links like "#cotacao?produto=auto"
+        const product = params.get('produto');
+        const options = Array.from(this.subject.options);
+        if (product && options.some(option => option.value === product)) {
+            this.subject.value = product;
+        }
+        this.showDetails(this.subject.value);
+        
+        // Section links without a step keep the current one; history entries without one are step 1
+        const step = parseInt(params.get('etapa')) || (focus ? this.current : 1);
+        this.goTo(step, { focus });
+        
+        // Hashes with params don't match an element id, so the browser won't scroll for us
+        if (initial && location.hash.includes('?')) {
+            smoothScrollTo(this.form, 100);
+        }
+    }
+    
+    saveDraft() {
+        const values = {};
+        new FormData(this.form).forEach((value, key) => {
+            if (!DRAFT_EXCLUDED_FIELDS.includes(key)) values[key] = value;
+        });
+        
+        try {
+            sessionStorage.setItem(this.storageKey, JSON.stringify(values));
+        } catch (error) {
+            // Storage unavailable, the draft is a convenience only
+        }
+    }
+    
+    restoreDraft() {
+        let values;
+        try {
+            values = JSON.parse(sessionStorage.getItem(this.storageKey));
+        } catch (error) {
+            values = null;
+        }
+        if (!values) return;
+        
+        Object.entries(values).forEach(([key, value]) => {
+            if (DRAFT_EXCLUDED_FIELDS.includes(key)) return;
+            const field = this.form.elements[key];
+            if (field && field.classList && (field.classList.contains('form__input') || field.type === 'hidden')) {
+                field.value = value;
+            }
+        });
+        
+        this.showDetails(this.subject.value);
+    }
+    
+    reset() {
+        if (this.steps.length === 0) return;
+        
+        try {
+            sessionStorage.removeItem(this.storageKey);
+        } catch (error) {
+            // Nothing to clear
+        }
+        
+        this.showDetails(this.subject.value);
+        const { id } = parseHash();
+        this.goTo(1, { history: id === this.form.id ? 'replace' : null });
+    }
+}
+
+class FormHandler {
+    constructor() {
+        this.form = $('.contact__form');
+        if (!this.form) return;
+        
+        this.inputs = this.form.querySelectorAll('.form__input');
+        this.feedback = this.form.querySelector('.form__feedback');
+        this.pendingIndicator = this.form.querySelector('.form__pending');
+        this.estimateField = this.form.querySelector('#estimate');
+        this.estimateSummary = this.form.querySelector('.form__estimate');
+        this.endpoint = this.form.getAttribute('action') || '/api/leads';
+        this.timeout = 10000; // 10 seconds
+        this.feedbackTimer = null;
+        this.startedAt = performance.now();
+        this.init();
+    }
+    
+    init() {
+        // Form submission
+        this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+        
+        // Real-time validation
+        this.inputs.forEach(input => {
+            input.addEventListener('blur', () => this.validateField(input));
+            input.addEventListener('input', () => {
+                if (input.parentElement.classList.contains('form__group--error')) {
+                    this.validateField(input);
+                }
+            });
+        });
+        
+        // Input masks declared in the markup with data-mask="<name>"; looked up
+        // on every input since the phone country selector swaps them
+        this.form.querySelectorAll('[data-mask]').forEach(field => {
+            field.addEventListener('input', () => {
+                const mask = Masks[field.dataset.mask];
+                if (mask) applyMask(field, mask);
+            });
+        });
+        
+        // Phone country selectors switch between Brazilian and international formats
+        this.form.querySelectorAll('[data-phone-country]').forEach(select => {
+            const phone = this.form.elements[select.dataset.phoneCountry];
+            if (!phone) return;
+            
+            select.addEventListener('change', () => this.setPhoneCountry(phone, select.value));
+            phone.addEventListener('input', () => this.detectPhoneCountry(phone, select), true);
+            this.setPhoneCountry(phone, select.value);
+        });
+        
+        // Address autofill for CEP fields
+        this.cepAutofill = new CepAutofill(this);
+        
+        // Offline queue for leads that can't reach the server
+        this.queue = new LeadQueue({
+            send: (payload) => this.submitLead(payload),
+            onChange: (count) => this.updatePendingIndicator(count),
+            onSent: (payload) => {
+                track('lead_submitted', { product: payload.subject, queued: true });
+                this.showFeedback('success', t('form.queueSent'));
+            }
+        });
+        this.updatePendingIndicator(this.queue.size);
+        
+        // Multi-step flow driven by the selected insurance type
+        this.wizard = new QuoteWizard(this);
+        
+        // LGPD access and deletion requests share the validation and masks
+        this.privacyRequest = new PrivacyRequestForm(this);
+        
+        // So do claim notifications
+        this.claim = new ClaimForm(this);
+        
+        // And the client area sign-in
+        this.clientArea = new ClientArea(this);
+        
+        // Estimates carried over from the product cards
+        document.addEventListener('estimate-selected', (e) => this.setEstimate(e.detail));
+        if (this.estimateSummary) {
+            this.estimateSummary.querySelector('.estimate__remove')
+                .addEventListener('click', () => this.setEstimate(null));
+        }
+        this.renderEstimate();
+        
+        document.addEventListener('locale-change', () => {
+            this.renderEstimate();
+            this.updatePendingIndicator(this.queue.size);
+        });
+    }
+    
+    setEstimate(estimate) {
+        if (!this.estimateField) return;
+        this.estimateField.value = estimate ? JSON.stringify(estimate) : '';
+        
+        // Prefill matching quote fields the visitor hasn't filled in yet
+        if (estimate) {
+            Object.entries(estimate.inputs).forEach(([name, value]) => {
+                const field = this.form.elements[name];
+                if (field && field.classList.contains('form__input') && !field.value) {
+                    field.value = value;
+                }
+            });
+        }
+        
+        this.renderEstimate();
+        this.wizard.saveDraft();
+    }
+    
+    getEstimate() {
+        try {
+            return this.estimateField && this.estimateField.value ? JSON.parse(this.estimateField.value) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    renderEstimate() {
+        if (!this.estimateSummary) return;
+        
+        const estimate = this.getEstimate();
+        this.estimateSummary.hidden = !estimate;
+        if (!estimate) return;
+        
+        const option = Array.from(this.form.querySelector('#subject').options)
+            .find(item => item.value === estimate.product);
+        const label = option ? t('estimate.product', { product: option.textContent }) : t('estimate.generic');
+        this.estimateSummary.querySelector('.estimate__text').textContent =
+            t('estimate.summary', { label, min: formatCurrency(estimate.min), max: formatCurrency(estimate.max) });
+    }
+    
+    resetForm() {
+        this.form.reset();
+        this.startedAt = performance.now();
+        this.setEstimate(null);
+        this.wizard.reset();
+    }
+    
+    setPhoneCountry(field, country) {
+        const format = country === 'BR' ? 'phone' : 'intlPhone';
+        field.dataset.mask = format;
+        field.dataset.validate = format;
+        
+        if (field.value) {
+            field.value = Masks[format](field.value);
+            if (field.parentElement.classList.contains('form__group--error')) {
+                this.validateField(field);
+            }
+        }
+    }
+    
+    // A pasted "+54 11 ..." switches the selector to Argentina and drops the
+    // code; "+55" is left for the Brazilian mask to strip
+    detectPhoneCountry(field, select) {
+        const match = field.value.match(/^\s*\+\s*(\d{1,3})[\s-]+/);
+        if (!match || match[1] === '55') return;
+        
+        const option = Array.from(select.options).find(opt => opt.dataset.dial === match[1]);
+        if (!option) return;
+        
+        select.value = option.value;
+        field.value = field.value.slice(match[0].length);
+        this.setPhoneCountry(field, select.value);
+    }
+    
+    updatePendingIndicator(count) {
+        if (!this.pendingIndicator) return;
+        
+        this.pendingIndicator.hidden = count === 0;
+        this.pendingIndicator.textContent = t('form.pending', { count });
+    }
+    
+    isFieldValid(field) {
+        const type = field.type;
+        const value = field.value.trim();
+        
+        // Disabled fields belong to another product and aren't submitted
+        if (field.disabled) return true;
+        
+        // Checkboxes, like the LGPD consent, only need to be ticked
+        if (type === 'checkbox') {
+            return !field.hasAttribute('required') || field.checked;
+        }
+        
+        // Required field check
+        if (field.hasAttribute('required') && !value) {
+            return false;
+        }
+        
+        if (!value) return true;
+        
+        // Format validators declared with data-validate="<name>"
+        const rule = field.dataset.validate;
+        if (rule) {
+            if (Validators[rule]) return Validators[rule](value);
+            console.warn(`Unknown validator "${rule}" on #${field.id}`);
+        }
+        
+        // Pattern, number and date constraints declared in the markup
+        if (field.pattern || type === 'number' || type === 'date') {
+            return field.validity.valid;
+        }
+        
+        return true;
+    }
+    
+    validateField(field) {
+        const parent = field.parentElement;
+        const isValid = this.isFieldValid(field);
+        
+        // Reported once per error, not on every keystroke that keeps it invalid
+        if (!isValid && !parent.classList.contains('form__group--error')) {
+            track('form_field_error', { form: field.form.id || field.form.className, field: field.name });
+        }
+        parent.classList.toggle('form__group--error', !isValid);
+        
+        return isValid;
+    }
+    
+    validateForm() {
+        let isValid = true;
+        
+        this.inputs.forEach(input => {
+            if (!this.validateField(input)) {
+                isValid = false;
+            }
+        });
+        
+        return isValid;
+    }
+    
+    getPayload(form = this.form) {
+        const data = new FormData(form);
+        const payload = {};
+        data.forEach((value, key) => {
+            payload[key] = typeof value === 'string' ? value.trim() : value;
+        });
+        return payload;
+    }
+    
+    async submitLead(payload) {
+        try {
+            return await postJson(this.endpoint, payload, this.timeout);
+        } catch (error) {
+            if (error.type !== 'challenge_required') throw error;
+            
+            // Suspicious submission: solve the challenge once and send again
+            const provider = CHALLENGE_PROVIDERS[error.challenge.provider];
+            if (!provider || payload.challengeToken) {
+                throw new LeadSubmissionError('rejected', { status: error.status });
+            }
+            
+            const challengeToken = await provider.solve(error.challenge);
+            return this.submitLead({ ...payload, challengeToken });
+        }
+    }
+    
+    // Map server-side field errors back onto the matching form groups
+    applyServerErrors(fields) {
+        let firstError = null;
+        
+        Object.keys(fields).forEach(name => {
+            const field = this.form.elements[name];
+            if (!field || !field.parentElement.classList.contains('form__group')) return;
+            
+            field.parentElement.classList.add('form__group--error');
+            if (!firstError) firstError = field;
+        });
+        
+        // Errors for fields the form doesn't render fall back to generic feedback
+        if (!firstError) {
+            this.showFeedback('error');
+            return;
+        }
+        
+        this.wizard.showFieldStep(firstError);
+        firstError.focus();
+        if (window.announce) {
+            window.announce(t('form.checkFields'));
+        }
+    }
+    
+    showFeedback(type, message) {
+        clearTimeout(this.feedbackTimer);
+        if (!this.feedback) return;
+        
+        const messages = this.feedback.querySelectorAll('.feedback');
+        messages.forEach(msg => msg.style.display = 'none');
+        
+        const target = this.feedback.querySelector(`.feedback--${type}`);
+        if (!target) return;
+        
+        const text = target.querySelector('span');
+        if (text) {
+            text.textContent = message || t(text.dataset.i18n);
+        }
+        
+        this.feedback.style.display = 'block';
+        target.style.display = 'flex';
+        
+        if (window.announce && text) {
+            window.announce(text.textContent);
+        }
+        
+        // Success messages fade away; errors stay until the next attempt
+        if (type === 'success') {
+            this.feedbackTimer = setTimeout(() => this.hideFeedback(), 5000);
+        }
+    }
+    
+    hideFeedback() {
+        clearTimeout(this.feedbackTimer);
+        if (!this.feedback) return;
+        
+        this.feedback.style.display = 'none';
+        this.feedback.querySelectorAll('.feedback').forEach(msg => msg.style.display = 'none');
+    }
+    
+    getErrorMessage(error) {
+        switch (error.type) {
+            case 'timeout':
+                return t('errors.timeout');
+            case 'network':
+                return t('errors.network');
+            case 'rate_limited': {
+                const minutes = Math.max(Math.ceil((error.retryAfter || 60) / 60), 1);
+                return t('errors.rateLimited', { count: minutes });
+            }
+            case 'rejected':
+                return t('errors.rejected');
+            default:
+                return null; // Default error text from the markup
+        }
+    }
+    
+    async handleSubmit(e) {
+        e.preventDefault();
+        
+        // Enter on an earlier step advances the wizard instead of submitting
+        if (!this.wizard.isLastStep) {
+            this.wizard.next();
+            return;
+        }
+        
+        if (!this.validateForm()) {
+            // Focus first error field
+            const firstError = this.form.querySelector('.form__group--error .form__input');
+            if (firstError) {
+                this.wizard.showFieldStep(firstError);
+                firstError.focus();
+            }
+            return;
+        }
+        
+        const submitBtn = this.form.querySelector('button[type="submit"]');
+        const originalText = submitBtn.innerHTML;
+        
+        // Show loading state
+        submitBtn.innerHTML = `<span>${t('form.sending')}</span>`;
+        submitBtn.disabled = true;
+        this.hideFeedback();
+        
+        const payload = {
+            ...this.getPayload(),
+            clientId: generateId(),
+            // Time spent on the form, bots tend to submit instantly
+            elapsed: Math.round(performance.now() - this.startedAt),
+            attribution: getAttribution()
+        };
+        const eventProperties = { product: payload.subject, estimate: Boolean(payload.estimate) };
+        
+        try {
+            // No point waiting for a timeout when the browser knows it's offline
+            if (!navigator.onLine) {
+                throw new LeadSubmissionError('network');
+            }
+            
+            await this.submitLead(payload);
+            
+            // Only clear the form once the lead is safely stored
+            this.resetForm();
+            this.showFeedback('success');
+            track('lead_submitted', eventProperties);
+        } catch (error) {
+            if (!(error instanceof LeadSubmissionError)) {
+                console.error('Unexpected error while submitting lead:', error);
+            }
+            
+            const isConnectionError = error.type === 'network' || error.type === 'timeout';
+            
+            // Keep the user's input intact unless the lead is safe in the queue
+            if (isConnectionError && this.queue.add(payload)) {
+                this.resetForm();
+                this.showFeedback('queued');
+                track('lead_queued', eventProperties);
+            } else if (error.type === 'validation') {
+                this.applyServerErrors(error.fields);
+                track('lead_failed', { ...eventProperties, reason: error.type });
+            } else {
+                this.showFeedback('error', this.getErrorMessage(error));
+                track('lead_failed', { ...eventProperties, reason: error.type || 'unexpected' });
+            }
+        } finally {
+            // Reset button
+            submitBtn.innerHTML = originalText;
+            submitBtn.disabled = false;
+        }
+        
+        // Scroll to form top
+        smoothScrollTo(this.form, 100);
+    }
+}
+
+// ============= PRIVACY REQUESTS =============
+// Data subject requests (LGPD art. 18); the office answers them by email
+class PrivacyRequestForm {
+    constructor(handler) {
+        this.handler = handler;
+        this.form = $('.privacy__form');
+        if (!this.form) return;
+        
+        this.inputs = this.form.querySelectorAll('.form__input');
+        this.status = this.form.querySelector('.privacy__status');
+        this.endpoint = this.form.getAttribute('action') || '/api/privacy-requests';
+        this.init();
+    }
+    
+    init() {
+        this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+        
+        this.inputs.forEach(input => {
+            input.addEventListener('blur', () => this.handler.validateField(input));
+        });
+        
+        this.form.querySelectorAll('[data-mask]').forEach(field => {
+            field.addEventListener('input', () => applyMask(field, Masks[field.dataset.mask]));
+        });
+    }
+    
+    showStatus(type, message) {
+        this.status.classList.toggle('feedback--success', type === 'success');
+        this.status.classList.toggle('feedback--error', type === 'error');
+        this.status.querySelector('span').textContent = message;
+        this.status.hidden = false;
+        
+        if (window.announce) {
+            window.announce(message);
+        }
+    }
+    
+    async handleSubmit(e) {
+        e.preventDefault();
+        
+        const invalid = Array.from(this.inputs).filter(input => !this.handler.validateField(input));
+        if (invalid.length > 0) {
+            invalid[0].focus();
+            return;
+        }
+        
+        const submitBtn = this.form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+        this.status.hidden = true;
+        
+        const payload = { ...this.handler.getPayload(this.form), clientId: generateId() };
+        
+        try {
+            const { protocol, dueAt } = await postJson(this.endpoint, payload, this.handler.timeout);
+            const deadline = new Date(dueAt).toLocaleDateString(i18n.locale);
+            
+            this.form.reset();
+            this.showStatus('success', t('privacy.request.success', { protocol, deadline }));
+        } catch (error) {
+            if (error.type === 'validation') {
+                Object.keys(error.fields).forEach(name => {
+                    const field = this.form.elements[name];
+                    if (field) field.parentElement.classList.add('form__group--error');
+                });
+            }
+            
+            this.showStatus('error', this.handler.getErrorMessage(error) || t('privacy.request.error'));
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+}
+
+// ============= CLAIM NOTIFICATIONS =============
+// Sinistro reports with photos. Photos are resized and re-encoded on the
+// device, which also strips their EXIF (GPS included), then uploaded one per
+// request on submit so each gets its own progress bar; the claim lists the
+// ids the server handed out.
+const { readJpegOrientation, fitWithin, orientationTransform } = window.PierucciniImages;
+
+const CLAIM_PHOTO_LIMIT = 8;
+const CLAIM_PHOTO_SIZE = 1600; // Longest side in pixels, plenty to assess damage
+const CLAIM_PHOTO_QUALITY = 0.8;
+
+// Current browsers apply the EXIF orientation when decoding; older ones hand
+// over the sensor's pixels, so the rotation is left to resizePhoto
+const decodePhoto = async (file) => {
+    if (window.createImageBitmap) {
+        try {
+            return { image: await createImageBitmap(file, { imageOrientation: 'from-image' }), orientation: 1 };
+        } catch (error) {
+            // Option unsupported or a format only <img> decodes, try that instead
+        }
+    }
+    
+    const url = URL.createObjectURL(file);
+    try {
+        const image = new Image();
+        await new Promise((resolve, reject) => {
+            image.onload = resolve;
+            image.onerror = () => reject(new Error(`Unreadable image: ${file.name}`));
+            image.src = url;
+        });
+        
+        const isUpright = window.CSS && CSS.supports('image-orientation', 'from-image');
+        return { image, orientation: isUpright ? 1 : readJpegOrientation(await file.arrayBuffer()) };
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+};
+
+const resizePhoto = async (file) => {
+    const { image, orientation } = await decodePhoto(file);
+    const size = fitWithin(image.naturalWidth || image.width, image.naturalHeight || image.height, CLAIM_PHOTO_SIZE);
+    const { width, height, matrix } = orientationTransform(orientation, size.width, size.height);
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    
+    // JPEG has no transparency, PNG screenshots get a white background
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, width, height);
+    context.setTransform(...matrix);
+    context.drawImage(image, 0, 0, size.width, size.height);
+    if (image.close) image.close();
+    
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) resolve(blob);
+            else reject(new Error(`Could not encode ${file.name}`));
+        }, 'image/jpeg', CLAIM_PHOTO_QUALITY);
+    });
+};
+
+// fetch() can't report upload progress, XMLHttpRequest can. Resolves with the
+// photo id; failures are raised as LeadSubmissionError like postJson's.
+const uploadPhoto = (endpoint, blob, { onProgress, timeout }) => new Promise((resolve, reject) => {
+    const request = new XMLHttpRequest();
+    request.open('POST', endpoint);
+    request.setRequestHeader('Content-Type', 'image/jpeg');
+    request.setRequestHeader('Accept', 'application/json');
+    request.timeout = timeout;
+    
+    request.upload.addEventListener('progress', (e) => {
+        if (e.lengthComputable) onProgress(e.loaded / e.total);
+    });
+    
+    request.addEventListener('load', () => {
+        const { status } = request;
+        let body = {};
+        try {
+            body = JSON.parse(request.responseText);
+        } catch (error) {
+            // Error bodies are optional, like in postJson
+        }
+        
+        if (status >= 200 && status < 300 && body.id) {
+            resolve(body.id);
+        } else if (status === 429) {
+            const retryAfter = parseInt(request.getResponseHeader('Retry-After')) || body.retryAfter || null;
+            reject(new LeadSubmissionError('rate_limited', { status, retryAfter }));
+        } else if (status === 403) {
+            reject(new LeadSubmissionError('rejected', { status }));
+        } else {
+            reject(new LeadSubmissionError('http', { status }));
+        }
+    });
+    request.addEventListener('error', () => reject(new LeadSubmissionError('network')));
+    request.addEventListener('timeout', () => reject(new LeadSubmissionError('timeout')));
+    
+    request.send(blob);
+});
+
+class ClaimForm {
+    constructor(handler) {
+        this.handler = handler;
+        this.form = $('.claim__form');
+        if (!this.form) return;
+        
+        this.inputs = this.form.querySelectorAll('.form__input');
+        this.status = this.form.querySelector('.claim__status');
+        this.upload = this.form.querySelector('.claim__upload');
+        this.fileInput = this.form.querySelector('.claim__file');
+        this.photoList = this.form.querySelector('.claim__photos');
+        this.lookupType = this.form.querySelector('[data-claim-lookup]');
+        this.lookup = this.form.elements[this.lookupType.dataset.claimLookup];
+        this.endpoint = this.form.getAttribute('action') || '/api/claims';
+        this.photoEndpoint = this.form.dataset.photoEndpoint || '/api/claims/photos';
+        this.photoTimeout = 60000; // 60 seconds per photo, for slow mobile uplinks
+        this.photos = [];
+        // Photos are resized one at a time, decoding several 12MP files at once eats memory
+        this.processing = Promise.resolve();
+        // Kept across retries so a claim that timed out isn't stored twice
+        this.clientId = generateId();
+        this.isSubmitting = false;
+        this.init();
+    }
+    
+    init() {
+        this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+        
+        this.inputs.forEach(input => {
+            input.addEventListener('blur', () => this.handler.validateField(input));
+            input.addEventListener('input', () => {
+                if (input.parentElement.classList.contains('form__group--error')) {
+                    this.handler.validateField(input);
+                }
+            });
+        });
+        
+        // Looked up on every input since the lookup type swaps them
+        this.form.querySelectorAll('[data-mask]').forEach(field => {
+            field.addEventListener('input', () => applyMask(field, Masks[field.dataset.mask]));
+        });
+        
+        this.lookupType.addEventListener('change', () => this.setLookupType(this.lookupType.value));
+        this.setLookupType(this.lookupType.value);
+        this.setDateLimits();
+        
+        this.fileInput.addEventListener('change', () => {
+            this.addFiles(this.fileInput.files);
+            // Picking the same file again after removing it should still work
+            this.fileInput.value = '';
+        });
+        
+        ['dragenter', 'dragover'].forEach(type => {
+            this.upload.addEventListener(type, (e) => {
+                e.preventDefault();
+                this.upload.classList.add('claim__upload--dragging');
+            });
+        });
+        ['dragleave', 'drop'].forEach(type => {
+            this.upload.addEventListener(type, () => this.upload.classList.remove('claim__upload--dragging'));
+        });
+        this.upload.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.addFiles(e.dataTransfer.files);
+        });
+        
+        document.addEventListener('locale-change', () => {
+            this.photos.forEach(photo => this.renderPhoto(photo));
+        });
+    }
+    
+    // Policy numbers and CPFs have their own mask, validator and messages
+    setLookupType(type) {
+        const format = type === 'cpf' ? 'cpf' : 'policy';
+        const group = this.lookup.parentElement;
+        
+        this.lookup.dataset.mask = format;
+        this.lookup.dataset.validate = format;
+        this.lookup.inputMode = format === 'cpf' ? 'numeric' : 'text';
+        
+        [
+            [group.querySelector('.form__label'), `claim.lookup.${format}`],
+            [group.querySelector('.form__error'), `claim.lookup.${format}Error`]
+        ].forEach(([element, key]) => {
+            element.dataset.i18n = key;
+            element.textContent = t(key);
+        });
+        
+        if (this.lookup.value) {
+            this.lookup.value = Masks[format](this.lookup.value);
+            if (group.classList.contains('form__group--error')) {
+                this.handler.validateField(this.lookup);
+            }
+        }
+    }
+    
+    // Claims are accepted for incidents up to a year old
+    setDateLimits() {
+        const today = new Date();
+        const isoDate = (years) => {
+            const date = new Date(today.getFullYear() - years, today.getMonth(), today.getDate());
+            return date.toISOString().slice(0, 10);
+        };
+        
+        const incidentDate = this.form.querySelector('#incidentDate');
+        if (incidentDate) {
+            incidentDate.min = isoDate(1);
+            incidentDate.max = isoDate(0);
+        }
+    }
+    
+    addFiles(fileList) {
+        const files = Array.from(fileList).filter(file => file.type.startsWith('image/'));
+        const room = CLAIM_PHOTO_LIMIT - this.photos.length;
+        if (files.length === 0) return;
+        
+        const added = files.slice(0, Math.max(room, 0));
+        added.forEach(file => this.addPhoto(file));
+        
+        if (window.announce) {
+            const messages = [];
+            if (added.length > 0) messages.push(t('claim.photos.added', { count: added.length }));
+            if (files.length > room) messages.push(t('claim.photos.limit', { count: CLAIM_PHOTO_LIMIT }));
+            window.announce(messages.join(' '));
+        }
+    }
+    
+    addPhoto(file) {
+        const photo = {
+            file,
+            blob: null,
+            thumbnail: null,
+            uploadedId: null,
+            state: 'processing',
+            error: null,
+            progress: 0,
+            element: null
+        };
+        photo.element = this.createPhotoElement(photo);
+        
+        this.photos.push(photo);
+        this.photoList.appendChild(photo.element);
+        this.renderPhoto(photo);
+        
+        this.processing = this.processing.then(async () => {
+            if (!this.photos.includes(photo)) return;
+            
+            try {
+                photo.blob = await resizePhoto(file);
+                photo.thumbnail = URL.createObjectURL(photo.blob);
+                photo.state = 'ready';
+            } catch (error) {
+                console.warn('Claim photo could not be processed:', error);
+                photo.state = 'error';
+                photo.error = 'claim.photos.unreadable';
+            }
+            this.renderPhoto(photo);
+        });
+    }
+    
+    createPhotoElement(photo) {
+        const item = document.createElement('li');
+        item.className = 'claim__photo';
+        
+        const thumb = document.createElement('img');
+        thumb.className = 'claim__thumb';
+        thumb.alt = '';
+        
+        const info = document.createElement('div');
+        info.className = 'claim__photo-info';
+        
+        const name = document.createElement('span');
+        name.className = 'claim__photo-name';
+        name.textContent = photo.file.name;
+        
+        const progress = document.createElement('progress');
+        progress.className = 'claim__progress';
+        progress.max = 100;
+        progress.value = 0;
+        
+        const status = document.createElement('span');
+        status.className = 'claim__photo-status';
+        
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'claim__photo-remove';
+        remove.textContent = '×';
+        remove.addEventListener('click', () => this.removePhoto(photo));
+        
+        info.append(name, progress, status);
+        item.append(thumb, info, remove);
+        return item;
+    }
+    
+    renderPhoto(photo) {
+        const { element, file, state } = photo;
+        const name = file.name;
+        const progress = element.querySelector('.claim__progress');
+        
+        element.className = `claim__photo claim__photo--${state}`;
+        if (photo.thumbnail) element.querySelector('.claim__thumb').src = photo.thumbnail;
+        
+        progress.hidden = state !== 'uploading' && state !== 'done';
+        progress.value = Math.round(photo.progress * 100);
+        progress.setAttribute('aria-label', t('claim.photos.progress', { name }));
+        
+        const remove = element.querySelector('.claim__photo-remove');
+        remove.setAttribute('aria-label', t('claim.photos.remove', { name }));
+        remove.disabled = this.isSubmitting;
+        
+        element.querySelector('.claim__photo-status').textContent = this.getPhotoStatus(photo);
+    }
+    
+    getPhotoStatus(photo) {
+        switch (photo.state) {
+            case 'processing':
+                return t('claim.photos.processing');
+            case 'ready':
+                return t('claim.photos.ready', { size: this.formatSize(photo.blob.size) });
+            case 'uploading':
+                return t('claim.photos.uploading', {
+                    percent: i18n.formatNumber(photo.progress, { style: 'percent' })
+                });
+            case 'done':
+                return t('claim.photos.done');
+            default:
+                return t(photo.error);
+        }
+    }
+    
+    formatSize(bytes) {
+        const isLarge = bytes >= 1024 * 1024;
+        return i18n.formatNumber(isLarge ? bytes / (1024 * 1024) : bytes / 1024, {
+            style: 'unit',
+            unit: isLarge ? 'megabyte' : 'kilobyte',
+            maximumFractionDigits: isLarge ? 1 : 0
+        });
+    }
+    
+    removePhoto(photo) {
+        if (this.isSubmitting) return;
+        
+        if (photo.thumbnail) URL.revokeObjectURL(photo.thumbnail);
+        photo.element.remove();
+        this.photos = this.photos.filter(item => item !== photo);
+        
+        // The removed button had focus; keep it in the upload area
+        this.fileInput.focus();
+        if (window.announce) {
+            window.announce(t('claim.photos.removed', { name: photo.file.name }));
+        }
+    }
+    
+    // One after the other, so on a slow connection the first photos finish
+    // instead of all crawling together. Photos uploaded by an earlier, failed
+    // attempt aren't sent again; unreadable ones are skipped.
+    async uploadPhotos() {
+        const photos = this.photos.filter(photo => photo.blob);
+        
+        for (const [index, photo] of photos.entries()) {
+            if (photo.uploadedId) continue;
+            
+            photo.state = 'uploading';
+            photo.progress = 0;
+            this.renderPhoto(photo);
+            
+            try {
+                photo.uploadedId = await uploadPhoto(this.photoEndpoint, photo.blob, {
+                    timeout: this.photoTimeout,
+                    onProgress: (progress) => {
+                        photo.progress = progress;
+                        this.renderPhoto(photo);
+                    }
+                });
+            } catch (error) {
+                photo.state = 'error';
+                photo.error = 'claim.photos.failed';
+                this.renderPhoto(photo);
+                throw error;
+            }
+            
+            photo.state = 'done';
+            photo.progress = 1;
+            this.renderPhoto(photo);
+            
+            if (window.announce) {
+                window.announce(t('claim.photos.uploaded', { current: index + 1, total: photos.length }));
+            }
+        }
+        
+        return photos.map(photo => photo.uploadedId);
+    }
+    
+    reset() {
+        this.photos.forEach(photo => {
+            if (photo.thumbnail) URL.revokeObjectURL(photo.thumbnail);
+        });
+        this.photos = [];
+        this.photoList.replaceChildren();
+        this.form.reset();
+        this.setLookupType(this.lookupType.value);
+        this.clientId = generateId();
+    }
+    
+    showStatus(type, message) {
+        this.status.classList.toggle('feedback--success', type === 'success');
+        this.status.classList.toggle('feedback--error', type === 'error');
+        this.status.querySelector('span').textContent = message;
+        this.status.hidden = false;
+        
+        if (window.announce) {
+            window.announce(message);
+        }
+    }
+    
+    setSubmitting(isSubmitting) {
+        this.isSubmitting = isSubmitting;
+        this.fileInput.disabled = isSubmitting;
+        this.photos.forEach(photo => this.renderPhoto(photo));
+    }
+    
+    async handleSubmit(e) {
+        e.preventDefault();
+        if (this.isSubmitting) return;
+        
+        const invalid = Array.from(this.inputs).filter(input => !this.handler.validateField(input));
+        if (invalid.length > 0) {
+            invalid[0].focus();
+            if (window.announce) {
+                window.announce(t('form.checkFields'));
+            }
+            return;
+        }
+        
+        const submitBtn = this.form.querySelector('button[type="submit"]');
+        const originalText = submitBtn.innerHTML;
+        
+        submitBtn.innerHTML = `<span>${t('claim.sending')}</span>`;
+        submitBtn.disabled = true;
+        this.status.hidden = true;
+        this.setSubmitting(true);
+        
+        const incidentType = this.form.elements.incidentType.value;
+        
+        try {
+            // Photos picked right before submitting may still be resizing
+            await this.processing;
+            const photos = await this.uploadPhotos();
+            
+            const payload = { ...this.handler.getPayload(this.form), photos, clientId: this.clientId };
+            const { protocol } = await postJson(this.endpoint, payload, this.handler.timeout);
+            
+            this.reset();
+            this.showStatus('success', t('claim.success', { protocol }));
+            track('claim_submitted', { incidentType, photos: photos.length });
+        } catch (error) {
+            if (!(error instanceof LeadSubmissionError)) {
+                console.error('Unexpected error while submitting claim:', error);
+            }
+            
+            if (error.type === 'validation') {
+                // Photo ids the server doesn't know are uploaded again on the next try
+                if (error.fields.photos) {
+                    this.photos.forEach(photo => {
+                        photo.uploadedId = null;
+                    });
+                }
+                Object.keys(error.fields).forEach(name => {
+                    const field = this.form.elements[name];
+                    if (field && field.parentElement.classList.contains('form__group')) {
+                        field.parentElement.classList.add('form__group--error');
+                    }
+                });
+            }
+            
+            this.showStatus('error', this.handler.getErrorMessage(error) || t('claim.error'));
+            track('claim_failed', { incidentType, reason: error.type || 'unexpected' });
+        } finally {
+            submitBtn.innerHTML = originalText;
+            submitBtn.disabled = false;
+            this.setSubmitting(false);
+        }
+    }
+}
+
+// ============= CLIENT AREA =============
+// Passwordless sign-in: the server emails a one-time link whose token comes
+// back in the hash and is traded for an HttpOnly session cookie. The page
+// can't read that cookie, so it only remembers when the session ends to know
+// whether a reload should ask for the policies again.
+const CLIENT_SESSION_KEY = 'pieruccini:client-session';
+const CLIENT_API = {
+    session: '/api/auth/session',
+    logout: '/api/auth/logout',
+    policies: '/api/client/policies',
+    renewal: '/api/client/renewal'
+};
+// Policies ending within this many days are highlighted for renewal
+const RENEWAL_NOTICE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Policy dates are calendar days ("2026-11-10"); read as local midnight so
+// they don't show up a day early west of UTC
+const parseCalendarDate = (value) => {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+class ClientArea {
+    constructor(handler) {
+        this.handler = handler;
+        this.section = $('[data-client-area]');
+        if (!this.section) return;
+        
+        this.form = this.section.querySelector('.client__login');
+        this.inputs = this.form.querySelectorAll('.form__input');
+        this.dashboard = this.section.querySelector('.client__dashboard');
+        this.greeting = this.section.querySelector('.client__greeting');
+        this.sessionInfo = this.section.querySelector('.client__session');
+        this.logoutButton = this.section.querySelector('.client__logout');
+        this.policyList = this.section.querySelector('.client__policies');
+        this.empty = this.section.querySelector('.client__empty');
+        this.status = this.section.querySelector('.client__status');
+        this.endpoint = this.form.getAttribute('action') || '/api/auth/login-link';
+        // { client, expiresAt, policies } while signed in
+        this.account = null;
+        // Policy id -> 'sending' | 'sent'
+        this.renewals = new Map();
+        this.expiryTimer = null;
+        this.init();
+    }
+    
+    init() {
+        this.form.addEventListener('submit', (e) => this.requestLink(e));
+        
+        this.inputs.forEach(input => {
+            input.addEventListener('blur', () => this.handler.validateField(input));
+        });
+        
+        this.logoutButton.addEventListener('click', () => this.logout());
+        
+        this.policyList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-renewal]');
+            if (button) this.requestRenewal(button);
+        });
+        
+        // A sign-in link opened in a tab that already shows the site
+        window.addEventListener('hashchange', () => this.checkHash());
+        document.addEventListener('locale-change', () => this.render());
+        
+        if (!this.checkHash() && this.hasStoredSession()) {
+            this.loadPolicies();
+        }
+    }
+    
+    // Sign-in links land on "#area-do-cliente?token=..."; the token is dropped
+    // from the address bar right away so it stays out of the history
+    checkHash() {
+        const { id, params } = parseHash();
+        const token = params.get('token');
+        if (id !== this.section.id || !token) return false;
+        
+        history.replaceState(null, '', `${location.pathname}${location.search}#${this.section.id}`);
+        smoothScrollTo(this.section, 100);
+        this.startSession(token);
+        return true;
+    }
+    
+    async startSession(token) {
+        this.showStatus('info', t('client.loading'));
+        
+        try {
+            const { expiresAt } = await postJson(CLIENT_API.session, { token }, this.handler.timeout);
+            this.storeSession(expiresAt);
+            track('client_login');
+        } catch (error) {
+            const message = error.type === 'unauthorized'
+                ? t('client.login.invalid')
+                : this.handler.getErrorMessage(error) || t('client.login.error');
+            this.showStatus('error', message);
+            return;
+        }
+        
+        await this.loadPolicies({ focus: true });
+    }
+    
+    async loadPolicies({ focus = false } = {}) {
+        try {
+            this.account = await requestJson(CLIENT_API.policies, { timeout: this.handler.timeout });
+        } catch (error) {
+            if (error.type === 'unauthorized') {
+                this.endSession(t('client.session.expired'));
+            } else {
+                this.showStatus('error', this.handler.getErrorMessage(error) || t('client.loadError'));
+            }
+            return;
+        }
+        
+        this.storeSession(this.account.expiresAt);
+        this.status.hidden = true;
+        this.render();
+        
+        if (focus) {
+            this.greeting.focus();
+        }
+    }
+    
+    storeSession(expiresAt) {
+        try {
+            localStorage.setItem(CLIENT_SESSION_KEY, expiresAt);
+        } catch (error) {
+            // Storage blocked: the session just won't survive a reload
+        }
+        
+        clearTimeout(this.expiryTimer);
+        this.expiryTimer = setTimeout(() => {
+            this.endSession(t('client.session.expired'));
+        }, new Date(expiresAt).getTime() - Date.now());
+    }
+    
+    hasStoredSession() {
+        try {
+            const expiresAt = localStorage.getItem(CLIENT_SESSION_KEY);
+            return Boolean(expiresAt) && new Date(expiresAt).getTime() > Date.now();
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    // Back to the sign-in form; the server clears the cookie on logout and
+    // lets it expire otherwise
+    endSession(message, type = 'info') {
+        clearTimeout(this.expiryTimer);
+        try {
+            localStorage.removeItem(CLIENT_SESSION_KEY);
+        } catch (error) {
+            // Nothing stored
+        }
+        
+        // Focus inside the dashboard would be lost once it's hidden
+        const hadFocus = this.dashboard.contains(document.activeElement);
+        this.account = null;
+        this.renewals.clear();
+        this.render();
+        
+        if (message) {
+            this.showStatus(type, message);
+        }
+        if (hadFocus) {
+            this.form.elements.email.focus();
+        }
+    }
+    
+    async logout() {
+        try {
+            await postJson(CLIENT_API.logout, {}, this.handler.timeout);
+        } catch (error) {
+            // Signed out on this page anyway; the cookie expires on its own
+        }
+        
+        this.endSession(t('client.loggedOut'), 'success');
+        track('client_logout');
+    }
+    
+    async requestLink(e) {
+        e.preventDefault();
+        
+        const invalid = Array.from(this.inputs).filter(input => !this.handler.validateField(input));
+        if (invalid.length > 0) {
+            invalid[0].focus();
+            return;
+        }
+        
+        const submitBtn = this.form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+        this.status.hidden = true;
+        
+        // The email goes out in the language the visitor is reading
+        const payload = { ...this.handler.getPayload(this.form), locale: i18n.locale };
+        
+        try {
+            await postJson(this.endpoint, payload, this.handler.timeout);
+            this.form.reset();
+            this.showStatus('success', t('client.login.sent', { email: payload.email }));
+        } catch (error) {
+            this.showStatus('error', this.handler.getErrorMessage(error) || t('client.login.error'));
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+    
+    render() {
+        const signedIn = Boolean(this.account);
+        this.form.hidden = signedIn;
+        this.dashboard.hidden = !signedIn;
+        
+        if (!signedIn) {
+            this.policyList.replaceChildren();
+            return;
+        }
+        
+        const { client, expiresAt, policies } = this.account;
+        const time = new Date(expiresAt).toLocaleTimeString(i18n.locale, { hour: '2-digit', minute: '2-digit' });
+        
+        this.greeting.textContent = t('client.greeting', { name: client.name.split(' ')[0] });
+        this.sessionInfo.textContent = t('client.session.until', { time });
+        this.empty.hidden = policies.length > 0;
+        this.policyList.replaceChildren(...policies.map(policy => this.renderPolicy(policy)));
+    }
+    
+    renderPolicy(policy) {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const daysLeft = Math.round((parseCalendarDate(policy.endDate) - today) / DAY_MS);
+        const formatDate = (value) => parseCalendarDate(value).toLocaleDateString(i18n.locale);
+        
+        const item = document.createElement('li');
+        item.className = 'client__policy';
+        item.classList.toggle('client__policy--renewing', daysLeft >= 0 && daysLeft <= RENEWAL_NOTICE_DAYS);
+        
+        const header = document.createElement('div');
+        const title = document.createElement('h4');
+        title.className = 'client__policy-title';
+        title.textContent = this.getProductLabel(policy.product);
+        header.appendChild(title);
+        
+        if (policy.description) {
+            const description = document.createElement('p');
+            description.className = 'client__policy-description';
+            description.textContent = policy.description;
+            header.appendChild(description);
+        }
+        
+        const date = formatDate(policy.endDate);
+        let renewal = t('client.policy.renewsIn', { date, count: daysLeft });
+        if (daysLeft < 0) {
+            renewal = t('client.policy.ended', { date });
+        } else if (daysLeft === 0) {
+            renewal = t('client.policy.renewsToday', { date });
+        }
+        
+        const details = document.createElement('dl');
+        details.className = 'client__policy-details';
+        [
+            ['client.policy.number', policy.number],
+            ['client.policy.insurer', policy.insurer],
+            ['client.policy.period', t('client.policy.periodValue', {
+                start: formatDate(policy.startDate),
+                end: date
+            })],
+            ['client.policy.renewal', renewal, 'client__renewal']
+        ].forEach(([key, value, className]) => {
+            const term = document.createElement('dt');
+            const definition = document.createElement('dd');
+            term.textContent = t(key);
+            definition.textContent = value;
+            if (className) definition.className = className;
+            details.append(term, definition);
+        });
+        
+        item.append(header, details, this.renderDocuments(policy.documents));
+        
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn--glass btn--small';
+        button.dataset.renewal = '';
+        button.dataset.policyId = policy.id;
+        this.renderRenewalButton(button);
+        item.appendChild(button);
+        
+        return item;
+    }
+    
+    renderDocuments(documents) {
+        if (documents.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'client__documents-empty';
+            empty.textContent = t('client.policy.noDocuments');
+            return empty;
+        }
+        
+        const list = document.createElement('ul');
+        list.className = 'client__documents';
+        list.setAttribute('aria-label', t('client.policy.documents'));
+        
+        documents.forEach(({ title, url }) => {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = '';
+            link.textContent = t('client.policy.download', { title });
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+        
+        return list;
+    }
+    
+    // aria-disabled instead of disabled so the button keeps focus while its text changes
+    renderRenewalButton(button) {
+        const state = this.renewals.get(button.dataset.policyId);
+        button.textContent = state === 'sent' ? t('client.policy.renewSent') : t('client.policy.renew');
+        button.setAttribute('aria-disabled', String(Boolean(state)));
+        button.setAttribute('aria-busy', String(state === 'sending'));
+    }
+    
+    getProductLabel(product) {
+        const key = `products.${product}.title`;
+        return key in sourceMessages ? t(key) : product;
+    }
+    
+    async requestRenewal(button) {
+        const { policyId } = button.dataset;
+        if (this.renewals.has(policyId)) return;
+        
+        const policy = this.account.policies.find(item => item.id === policyId);
+        this.renewals.set(policyId, 'sending');
+        this.renderRenewalButton(button);
+        this.status.hidden = true;
+        
+        try {
+            await postJson(CLIENT_API.renewal, { policyId }, this.handler.timeout);
+        } catch (error) {
+            this.renewals.delete(policyId);
+            if (error.type === 'unauthorized') {
+                this.endSession(t('client.session.expired'));
+                return;
+            }
+            
+            this.renderRenewalButton(button);
+            this.showStatus('error', this.handler.getErrorMessage(error) || t('client.policy.renewError'));
+            return;
+        }
+        
+        this.renewals.set(policyId, 'sent');
+        this.renderRenewalButton(button);
+        track('renewal_requested', { product: policy.product });
+        
+        if (window.announce) {
+            window.announce(t('client.policy.renewSent'));
+        }
+    }
+    
+    showStatus(type, message) {
+        this.status.classList.toggle('feedback--success', type === 'success');
+        this.status.classList.toggle('feedback--error', type === 'error');
+        this.status.querySelector('span').textContent = message;
+        this.status.hidden = false;
+        
+        if (window.announce) {
+            window.announce(message);
+        }
+    }
+}
+
+// ============= COOKIE CONSENT =============
+// Choices are stored with the privacy notice version, so a new version asks again
+const CONSENT_STORAGE_KEY = 'pieruccini:consent';
+
+const getPolicyVersion = () => {
+    const notice = $('[data-policy-version]');
+    return notice ? notice.dataset.policyVersion : null;
+};
+
+// Stored choices ({ version, categories, decidedAt }) or null while undecided
+const getConsent = () => {
+    try {
+        const consent = JSON.parse(localStorage.getItem(CONSENT_STORAGE_KEY));
+        return consent && consent.version === getPolicyVersion() ? consent : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Tracking code checks this, or listens for consent-change, before running
+const hasConsent = (category) => {
+    const consent = getConsent();
+    return Boolean(consent && consent.categories[category]);
+};
+
+class ConsentManager {
+    constructor() {
+        this.banner = $('.consent');
+        if (!this.banner) return;
+        
+        this.options = this.banner.querySelector('.consent__options');
+        this.categories = this.banner.querySelectorAll('[data-consent-category]');
+        this.opener = null;
+        this.init();
+    }
+    
+    init() {
+        this.banner.querySelectorAll('[data-consent-action]').forEach(button => {
+            button.addEventListener('click', () => this.handleAction(button.dataset.consentAction));
+        });
+        
+        // "Preferências de cookies" links reopen it with the current choices
+        $$('[data-consent-open]').forEach(link => {
+            link.addEventListener('click', () => this.open({ customize: true }));
+        });
+        
+        // Only a reopened banner can be dismissed, the first visit needs an answer
+        document.addEventListener('escape-pressed', (e) => {
+            if (this.banner.hidden || this.banner.hasAttribute('inert') || e.defaultPrevented || !getConsent()) return;
+            e.preventDefault();
+            this.close();
+        });
+        
+        const consent = getConsent();
+        if (consent) {
+            this.apply(consent);
+        } else {
+            this.open();
+        }
+    }
+    
+    open({ customize = false } = {}) {
+        const consent = getConsent();
+        this.categories.forEach(input => {
+            input.checked = Boolean(consent && consent.categories[input.dataset.consentCategory]);
+        });
+        
+        this.setCustomizing(customize);
+        this.banner.hidden = false;
+        
+        // Only move focus when the visitor asked for the banner
+        if (customize) {
+            this.opener = document.activeElement;
+            this.categories[0].focus();
+        }
+    }
+    
+    setCustomizing(customizing) {
+        this.options.hidden = !customizing;
+        this.banner.querySelector('[data-consent-action="customize"]').hidden = customizing;
+        this.banner.querySelector('[data-consent-action="save"]').hidden = !customizing;
+    }
+    
+    handleAction(action) {
+        if (action === 'customize') {
+            this.setCustomizing(true);
+            this.categories[0].focus();
+            return;
+        }
+        
+        const categories = {};
+        this.categories.forEach(input => {
+            categories[input.dataset.consentCategory] = action === 'accept' || (action === 'save' && input.checked);
+        });
+        this.save(categories);
+    }
+    
+    save(categories) {
+        const consent = { version: getPolicyVersion(), categories, decidedAt: new Date().toISOString() };
+        
+        try {
+            localStorage.setItem(CONSENT_STORAGE_KEY, JSON.stringify(consent));
+        } catch (error) {
+            // Storage unavailable: the choice only lasts for this page
+        }
+        
+        this.close();
+        this.apply(consent);
+        
+        if (window.announce) {
+            window.announce(t('consent.saved'));
+        }
+    }
+    
+    close() {
+        this.banner.hidden = true;
+        
+        if (this.opener) {
+            this.opener.focus();
+            this.opener = null;
+        }
+    }
+    
+    // Opt-in scripts are written as <script type="text/plain" data-consent-category="analytics">
+    // (inline or with data-src) and only run once their category is allowed.
+    // A script that already ran stays until the next page load when consent is revoked.
+    apply(consent) {
+        $$('script[type="text/plain"][data-consent-category]').forEach(placeholder => {
+            if (!consent.categories[placeholder.dataset.consentCategory]) return;
+            
+            const script = document.createElement('script');
+            if (placeholder.dataset.src) {
+                script.src = placeholder.dataset.src;
+            } else {
+                script.textContent = placeholder.textContent;
+            }
+            placeholder.replaceWith(script);
+        });
+        
+        document.dispatchEvent(new CustomEvent('consent-change', { detail: consent }));
+    }
+}
+
+// ============= ERROR MONITORING =============
+// Uncaught errors, unhandled rejections and components that fail to start are
+// posted to <body data-errors-endpoint>. With the "analytics" consent category
+// allowed, reports also carry the page and the last breadcrumbs: clicked
+// elements, sections visited and form steps, never what the visitor typed;
+// without it, only the error itself is sent and no breadcrumbs are kept.
+// Repeats of an error are only counted, and a page view sends a few at most.
+const ERROR_BREADCRUMB_LIMIT = 20;
+const ERROR_REPORTS_PER_MINUTE = 5;
+const ERROR_REPORTS_PER_PAGE = 20;
+
+class ErrorMonitor {
+    constructor() {
+        this.endpoint = null;
+        this.breadcrumbs = [];
+        this.seen = new Map();
+        this.sentAt = [];
+        this.installed = false;
+    }
+    
+    install() {
+        if (this.installed) return;
+        this.installed = true;
+        this.endpoint = document.body.dataset.errorsEndpoint || null;
+        
+        window.addEventListener('error', (e) => {
+            // Cross-origin scripts only say "Script error.", with nothing to act on
+            if (!e.error && e.message === 'Script error.') return;
+            this.capture(e.error || e.message, { source: 'error' });
+        });
+        window.addEventListener('unhandledrejection', (e) => {
+            this.capture(e.reason, { source: 'unhandledrejection' });
+        });
+        
+        document.addEventListener('click', (e) => {
+            const target = e.target.closest('a, button, summary, label, [role="button"]') || e.target;
+            this.addBreadcrumb('click', { target: describeElement(target) });
+        }, true);
+        // Only the section id, the rest of a hash can hold a sign-in token.
+        // Going back fires both popstate and hashchange, one breadcrumb is enough
+        const navigated = () => {
+            const to = parseHash().id || '/';
+            const last = this.breadcrumbs[this.breadcrumbs.length - 1];
+            if (!last || last.type !== 'navigation' || last.to !== to) this.addBreadcrumb('navigation', { to });
+        };
+        window.addEventListener('hashchange', navigated);
+        window.addEventListener('popstate', navigated);
+        document.addEventListener('hash-navigate', navigated);
+        document.addEventListener('form-step', (e) => this.addBreadcrumb('form_step', e.detail));
+        document.addEventListener('submit', (e) => {
+            this.addBreadcrumb('submit', { form: e.target.id || e.target.className });
+        }, true);
+        
+        document.addEventListener('consent-change', (e) => {
+            if (!e.detail.categories.analytics) this.breadcrumbs = [];
+        });
+    }
+    
+    addBreadcrumb(type, data = {}) {
+        if (!hasConsent('analytics')) return;
+        this.breadcrumbs.push({ type, time: Math.round(performance.now()), ...data });
+        if (this.breadcrumbs.length > ERROR_BREADCRUMB_LIMIT) this.breadcrumbs.shift();
+    }
+    
+    capture(error, { source = 'error', component = '' } = {}) {
+        // Not instanceof Error, which fails for errors from another frame
+        const isError = Boolean(error) && typeof error.message === 'string';
+        const name = isError ? String(error.name || 'Error') : 'Error';
+        const message = String(isError ? error.message : error).slice(0, 300);
+        const stack = isError && error.stack ? String(error.stack).slice(0, 2000) : '';
+        
+        // Errors thrown by browser extensions aren't ours to fix
+        if (/(chrome|moz|safari(-web)?)-extension:\/\//.test(stack)) return;
+        
+        const fingerprint = `${name}:${message}:${stack.split('\n')[1] || ''}`;
+        const count = (this.seen.get(fingerprint) || 0) + 1;
+        this.seen.set(fingerprint, count);
+        
+        if (isDevelopment) {
+            console.error(`[errors] ${component || source}:`, error);
+        }
+        if (count > 1 || !this.endpoint || !this.withinLimits()) return;
+        
+        const report = {
+            id: generateId(),
+            name,
+            message,
+            stack,
+            source,
+            component,
+            locale: i18n.locale,
+            userAgent: navigator.userAgent.slice(0, 300),
+            timestamp: new Date().toISOString()
+        };
+        if (hasConsent('analytics')) {
+            report.url = location.pathname + (parseHash().id ? `#${parseHash().id}` : '');
+            report.breadcrumbs = this.breadcrumbs.slice();
+        }
+        this.send(report);
+    }
+    
+    withinLimits() {
+        const now = Date.now();
+        const recent = this.sentAt.filter(time => now - time < 60 * 1000);
+        if (recent.length >= ERROR_REPORTS_PER_MINUTE || this.sentAt.length >= ERROR_REPORTS_PER_PAGE) return false;
+        
+        this.sentAt.push(now);
+        return true;
+    }
+    
+    // Never lets a failed report become another error to report
+    send(report) {
+        const body = JSON.stringify(report);
+        try {
+            if (navigator.sendBeacon && navigator.sendBeacon(this.endpoint, body)) return;
+            fetch(this.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                keepalive: true
+            }).catch(() => {});
+        } catch (error) {
+            // Nothing else to try
+        }
+    }
+}
+
+const errorMonitor = new ErrorMonitor();
+
+// ============= ANALYTICS =============
+// Components report structured events with track(); they only reach the sinks
+// while the "analytics" consent category is allowed, earlier events are dropped.
+// Sinks are listed in <body data-analytics-sinks>, the console one is added in development.
+const ANALYTICS_BATCH_SIZE = 10;
+const ANALYTICS_FLUSH_DELAY = 5000;
+
+// Each factory receives the analytics options and returns { send(event), flush(), clear() }
+const ANALYTICS_SINKS = {
+    console: () => ({
+        send: (event) => console.info(`[analytics] ${event.name}`, event.properties),
+        flush() {},
+        clear() {}
+    }),
+    
+    // Google Tag Manager and similar tools read window.dataLayer
+    dataLayer: () => ({
+        send: (event) => {
+            window.dataLayer = window.dataLayer || [];
+            window.dataLayer.push({ event: event.name, ...event.properties });
+        },
+        flush() {},
+        clear() {}
+    }),
+    
+    // Batches events to the collector endpoint in server.js
+    collector: ({ endpoint }) => {
+        let batch = [];
+        let timer = null;
+        
+        const flush = () => {
+            clearTimeout(timer);
+            timer = null;
+            if (batch.length === 0) return;
+            
+            const body = JSON.stringify({ events: batch });
+            batch = [];
+            
+            // sendBeacon survives the page being closed; fetch is the fallback
+            if (navigator.sendBeacon && navigator.sendBeacon(endpoint, body)) return;
+            fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                keepalive: true
+            }).catch(() => {});
+        };
+        
+        return {
+            send(event) {
+                batch.push(event);
+                if (batch.length >= ANALYTICS_BATCH_SIZE) {
+                    flush();
+                } else if (!timer) {
+                    timer = setTimeout(flush, ANALYTICS_FLUSH_DELAY);
+                }
+            },
+            flush,
+            clear() {
+                clearTimeout(timer);
+                timer = null;
+                batch = [];
+            }
+        };
+    }
+};
+
+class Analytics {
+    constructor() {
+        const { analyticsSinks = '', analyticsEndpoint = '/api/events' } = document.body.dataset;
+        const names = analyticsSinks.split(/\s+/).filter(Boolean);
+        if (isDevelopment && !names.includes('console')) names.push('console');
+        
+        this.sinks = names
+            .filter(name => ANALYTICS_SINKS[name])
+            .map(name => ANALYTICS_SINKS[name]({ endpoint: analyticsEndpoint }));
+        this.enabled = hasConsent('analytics');
+        this.init();
+    }
+    
+    init() {
+        // Revoking consent also discards whatever is still waiting in a batch
+        document.addEventListener('consent-change', (e) => {
+            this.enabled = Boolean(e.detail.categories.analytics);
+            if (!this.enabled) this.sinks.forEach(sink => sink.clear());
+        });
+        
+        // Declarative clicks: data-track="<event>" plus data-track-<property> attributes
+        document.addEventListener('click', (e) => {
+            const element = e.target.closest('[data-track]');
+            if (!element) return;
+            
+            const properties = {};
+            Object.entries(element.dataset).forEach(([key, value]) => {
+                if (key.startsWith('track') && key !== 'track') {
+                    properties[key.charAt(5).toLowerCase() + key.slice(6)] = value;
+                }
+            });
+            this.track(element.dataset.track, properties);
+        });
+        
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        });
+        window.addEventListener('pagehide', () => this.flush());
+    }
+    
+    // Properties describe the interaction, never what the visitor typed
+    track(name, properties = {}) {
+        if (!this.enabled || this.sinks.length === 0) return;
+        
+        const event = {
+            id: generateId(),
+            name,
+            properties,
+            timestamp: new Date().toISOString(),
+            path: location.pathname,
+            locale: i18n.locale
+        };
+        
+        this.sinks.forEach(sink => {
+            try {
+                sink.send(event);
+            } catch (error) {
+                console.warn(`Analytics sink failed for ${name}:`, error);
+            }
+        });
+    }
+    
+    flush() {
+        this.sinks.forEach(sink => sink.flush());
+    }
+}
+
+const analytics = new Analytics();
+const track = (name, properties) => analytics.track(name, properties);
+
+// First touch of the visit: UTM params and the external referrer of the landing
+// page. It stays in sessionStorage and only leaves with a lead the visitor
+// submits, so it doesn't wait for analytics consent.
+const ATTRIBUTION_STORAGE_KEY = 'pieruccini:attribution';
+const UTM_PARAMS = ['source', 'medium', 'campaign', 'term', 'content'];
+
+const getAttribution = () => {
+    try {
+        const stored = sessionStorage.getItem(ATTRIBUTION_STORAGE_KEY);
+        if (stored) return JSON.parse(stored);
+    } catch (error) {
+        // Storage blocked, attribution is only known on the landing page
+    }
+    
+    const params = new URLSearchParams(location.search);
+    const attribution = {};
+    UTM_PARAMS.forEach(name => {
+        const value = params.get(`utm_${name}`);
+        if (value) attribution[name] = value;
+    });
+    
+    if (document.referrer) {
+        const referrer = new URL(document.referrer);
+        if (referrer.origin !== location.origin) attribution.referrer = referrer.origin + referrer.pathname;
+    }
+    
+    if (Object.keys(attribution).length === 0) return null;
+    attribution.landingPage = location.pathname + location.search;
+    
+    try {
+        sessionStorage.setItem(ATTRIBUTION_STORAGE_KEY, JSON.stringify(attribution));
+    } catch (error) {
+        // Fine, it's still attached to a lead sent from this page
+    }
+    return attribution;
+};
+
+// ============= BACK TO TOP =============
+class BackToTop {
+    constructor() {
+        this.button = $('.back-to-top');
+        if (!this.button) return;
+        this.init();
+    }
+    
+    init() {
+        // Show/hide button on scroll
+        scrollScheduler.subscribe({
+            write: ({ scrollY, viewportHeight }) => {
+                if (scrollY > viewportHeight * 0.5) {
+                    this.button.classList.add('back-to-top--visible');
+                } else {
+                    this.button.classList.remove('back-to-top--visible');
+                }
+            }
+        });
+        
+        // Scroll to top on click
+        this.button.addEventListener('click', () => {
+            const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+            track('back_to_top', {
+                scrollDepth: scrollable > 0 ? Math.round((window.pageYOffset / scrollable) * 100) : 0
+            });
+            
+            window.scrollTo({
+                top: 0,
+                behavior: 'smooth'
             });
         });
     }
 }
 
-// ============= ANIMATED COUNTERS =============
+// ============= ANIMATED COUNTERS =============
+// <span data-counter="5000"> counts up from zero once on screen, over elapsed time
+// so it takes as long on 30Hz as on 120Hz screens. Optional attributes:
+//   data-counter-duration  milliseconds, 2000 by default
+//   data-counter-easing    a COUNTER_EASINGS name, "ease-out" by default
+//   data-counter-decimals  defaults to the decimals written in data-counter
+//   data-counter-format    "compact" for "5 mil" / "5K", grouped digits otherwise
+//   data-counter-prefix / data-counter-suffix  text around the number, e.g. "+"
+const COUNTER_DURATION = 2000;
+
+const COUNTER_EASINGS = {
+    linear: (progress) => progress,
+    'ease-out': (progress) => 1 - Math.pow(1 - progress, 3),
+    'ease-in-out': (progress) => (progress < 0.5
+        ? 4 * Math.pow(progress, 3)
+        : 1 - Math.pow(-2 * progress + 2, 3) / 2)
+};
+
+const getCounterOptions = (element) => {
+    const { counter, counterDuration, counterEasing, counterDecimals, counterFormat } = element.dataset;
+    const decimals = counterDecimals !== undefined
+        ? parseInt(counterDecimals, 10)
+        : (counter.split('.')[1] || '').length;
+    
+    return {
+        target: parseFloat(counter),
+        duration: counterDuration !== undefined ? parseInt(counterDuration, 10) : COUNTER_DURATION,
+        easing: COUNTER_EASINGS[counterEasing] || COUNTER_EASINGS['ease-out'],
+        prefix: element.dataset.counterPrefix || '',
+        suffix: element.dataset.counterSuffix || '',
+        format: {
+            notation: counterFormat === 'compact' ? 'compact' : 'standard',
+            minimumFractionDigits: decimals,
+            maximumFractionDigits: decimals
+        }
+    };
+};
+
+const formatCounter = (value, { prefix, suffix, format }) => `${prefix}${i18n.formatNumber(value, format)}${suffix}`;
+
 class AnimatedCounters {
     constructor() {
-        this.counters = $$('[data-counter]');
+        this.counters = Array.from($$('[data-counter]')).map(element => this.setup(element));
         this.init();
     }
     
+    // Screen readers get the final value from the start, the animated digits are hidden from them
+    setup(element) {
+        const display = document.createElement('span');
+        display.setAttribute('aria-hidden', 'true');
+        const label = document.createElement('span');
+        label.className = 'sr-only';
+        element.replaceChildren(display, label);
+        
+        const counter = { element, display, label, options: getCounterOptions(element), done: false };
+        this.render(counter, 0);
+        return counter;
+    }
+    
     init() {
         if (this.counters.length === 0) return;
         
-        const options = {
-            threshold: 0.5,
-            rootMargin: '0px'
-        };
+        // Finished counters keep the grouping of the language they were shown in
+        document.addEventListener('locale-change', () => {
+            this.counters.forEach(counter => {
+                counter.label.textContent = formatCounter(counter.options.target, counter.options);
+                if (counter.done) this.render(counter, counter.options.target);
+            });
+        });
+        
+        if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+            this.counters.forEach(counter => this.finish(counter));
+            return;
+        }
         
         const observer = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
-                if (entry.isIntersecting && !entry.target.classList.contains('counted')) {
-                    this.animateValue(entry.target);
-                    observer.unobserve(entry.target);
-                }
+                if (!entry.isIntersecting) return;
+                observer.unobserve(entry.target);
+                this.animate(this.counters.find(counter => counter.element === entry.target));
             });
-        }, options);
+        }, { threshold: 0.5 });
         
-        this.counters.forEach(counter => {
-            observer.observe(counter);
-        });
+        this.counters.forEach(counter => observer.observe(counter.element));
+    }
+    
+    render(counter, value) {
+        counter.display.textContent = formatCounter(value, counter.options);
+        counter.label.textContent = formatCounter(counter.options.target, counter.options);
     }
     
-    animateValue(element) {
-        element.classList.add('counted');
-        const target = parseInt(element.dataset.counter);
-        const duration = 2000;
-        const step = target / (duration / 16);
-        let current = 0;
+    animate(counter) {
+        const { target, duration, easing } = counter.options;
+        let start = null;
         
-        const updateCounter = () => {
-            current = Math.min(current + step, target);
-            element.textContent = Math.floor(current);
+        const step = (now) => {
+            if (start === null) start = now;
+            const progress = duration > 0 ? Math.min((now - start) / duration, 1) : 1;
             
-            if (current < target) {
-                requestAnimationFrame(updateCounter);
+            if (progress < 1) {
+                this.render(counter, target * easing(progress));
+                requestAnimationFrame(step);
             } else {
-                element.textContent = target;
+                this.finish(counter);
             }
         };
         
-        updateCounter();
+        requestAnimationFrame(step);
+    }
+    
+    finish(counter) {
+        counter.done = true;
+        this.render(counter, counter.options.target);
     }
 }
 
@@ -529,7 +3526,7 @@ class HeroScroll {
         this.indicator.addEventListener('click', () => {
             const nextSection = $('#produtos');
             if (nextSection) {
-                smoothScrollTo(nextSection, 80);
+                smoothScrollTo(nextSection, getNavbarOffset());
             }
         });
     }
@@ -564,6 +3561,490 @@ class LazyImages {
     }
 }
 
+// ============= BUSINESS HOURS =============
+// Open/closed status in the contact card, and the hero CTA swapped for the
+// 24h WhatsApp line outside office hours ([data-hours="open|closed"]). The
+// weekly schedule comes from the JSON-LD in <head>, holidays from hours.json;
+// the maths lives in hours.js.
+const { parseOpeningHours, getStatus: getHoursStatus } = window.PierucciniHours;
+
+class BusinessHours {
+    constructor() {
+        this.status = $('[data-hours-status]');
+        this.toggles = $$('[data-hours]');
+        this.weekly = null;
+        this.exceptions = [];
+        this.timeZone = 'America/Sao_Paulo';
+        this.init();
+    }
+    
+    init() {
+        const structuredData = $('script[type="application/ld+json"]');
+        if (!structuredData || (!this.status && this.toggles.length === 0)) return;
+        
+        try {
+            this.weekly = parseOpeningHours(JSON.parse(structuredData.textContent));
+        } catch (error) {
+            console.warn('Business hours unavailable:', error);
+            return;
+        }
+        
+        this.loadExceptions().then(() => {
+            this.update();
+            setInterval(() => this.update(), 60000);
+            document.addEventListener('locale-change', () => this.update());
+        });
+    }
+    
+    // Without the holiday file the regular schedule still applies
+    async loadExceptions() {
+        const url = this.status && this.status.dataset.hoursStatus;
+        if (!url) return;
+        
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`Hours config responded with ${response.status}`);
+            
+            const config = await response.json();
+            this.exceptions = config.exceptions || [];
+            this.timeZone = config.timeZone || this.timeZone;
+        } catch (error) {
+            console.warn('Holiday exceptions unavailable:', error);
+        }
+    }
+    
+    update() {
+        const status = getHoursStatus({ weekly: this.weekly, exceptions: this.exceptions, timeZone: this.timeZone });
+        
+        this.toggles.forEach(element => {
+            element.hidden = element.dataset.hours !== (status.open ? 'open' : 'closed');
+        });
+        
+        if (!this.status) return;
+        
+        this.status.classList.toggle('info__status--open', status.open);
+        this.status.querySelector('.info__status-label').textContent = t(status.open ? 'hours.open' : 'hours.closed');
+        this.status.querySelector('.info__status-detail').textContent = this.describe(status);
+        this.status.hidden = false;
+    }
+    
+    describe({ open, closesAt, nextOpening }) {
+        if (open) return t('hours.closes', { time: this.formatTime(closesAt) });
+        if (!nextOpening) return '';
+        
+        const time = this.formatTime(nextOpening.minutes);
+        if (nextOpening.daysAhead === 0) return t('hours.opensToday', { time });
+        if (nextOpening.daysAhead === 1) return t('hours.opensTomorrow', { time });
+        
+        // Past a week the weekday alone is ambiguous, so the date goes with it
+        const options = nextOpening.daysAhead < 7
+            ? { weekday: 'long', timeZone: 'UTC' }
+            : { weekday: 'long', day: 'numeric', month: 'long', timeZone: 'UTC' };
+        const day = new Intl.DateTimeFormat(i18n.locale, options).format(new Date(`${nextOpening.date}T12:00:00Z`));
+        return t('hours.opensOn', { day, time });
+    }
+    
+    // Each language words the time its own way ("8h", "8 AM", "8 h")
+    formatTime(minutes) {
+        const hour = Math.floor(minutes / 60);
+        const minute = String(minutes % 60).padStart(2, '0');
+        const params = { hour, minute, hour12: hour % 12 || 12, period: hour < 12 ? 'AM' : 'PM' };
+        return t(minute === '00' ? 'hours.time' : 'hours.timeWithMinutes', params);
+    }
+}
+
+// ============= WHATSAPP HANDOFF =============
+// Links marked data-whatsapp="<context>" open a chat prefilled with what the
+// visitor was looking at and what they already typed in the quote form. Their
+// plain wa.me href is the fallback, and the source of the phone number.
+const { composeMessage, buildChatUrl, detectPlatform } = window.PierucciniWhatsApp;
+
+// Quote fields worth passing on; documents and contact details stay out of the chat
+const WHATSAPP_FORM_FIELDS = [
+    'name', 'subject', 'vehicleModel', 'vehicleYear', 'parkingCity',
+    'propertyType', 'propertyCity', 'propertyValue', 'profession', 'coverageAmount', 'message'
+];
+
+const WHATSAPP_GREETINGS = {
+    emergency: 'whatsapp.emergency',
+    form_error: 'whatsapp.formError'
+};
+
+// Time the app scheme gets to take over before falling back to wa.me
+const WHATSAPP_APP_TIMEOUT = 1500;
+
+class WhatsAppHandoff {
+    constructor() {
+        this.links = $$('[data-whatsapp]');
+        this.form = $('.contact__form');
+        this.lastProduct = null;
+        this.platform = detectPlatform({ userAgent: navigator.userAgent, maxTouchPoints: navigator.maxTouchPoints });
+        this.init();
+    }
+    
+    init() {
+        if (this.links.length === 0) return;
+        
+        // The product card or page the visitor last clicked or tabbed into; the
+        // quote form's detail groups carry data-product too, but not a title
+        $$('.product-card[data-product], .product-page__view[data-product]').forEach(card => {
+            const remember = () => {
+                this.lastProduct = card;
+            };
+            card.addEventListener('click', remember);
+            card.addEventListener('focusin', remember);
+        });
+        
+        // The URLs are built before the default is prevented: if that fails,
+        // the plain wa.me link still opens the chat, just without the message
+        this.links.forEach(link => {
+            link.addEventListener('click', (e) => {
+                let urls;
+                try {
+                    urls = this.buildUrls(link);
+                } catch (error) {
+                    errorMonitor.capture(error, { source: 'component', component: 'WhatsAppHandoff' });
+                    return;
+                }
+                
+                e.preventDefault();
+                this.open(urls);
+            });
+        });
+    }
+    
+    // Section in the middle of the viewport, named like its navbar link
+    getSection() {
+        const middle = window.innerHeight / 2;
+        const section = Array.from($$('section[id]')).find(item => {
+            const rect = item.getBoundingClientRect();
+            return rect.top <= middle && rect.bottom >= middle;
+        });
+        if (!section) return null;
+        
+        const link = $(`.navbar__link[href="#${section.id}"]`);
+        const heading = section.querySelector('h2');
+        return (link || heading || section).textContent.trim();
+    }
+    
+    getFormDetails() {
+        if (!this.form) return [];
+        
+        return WHATSAPP_FORM_FIELDS.map(name => {
+            const field = this.form.elements[name];
+            if (!field || field.disabled || !field.value.trim()) return null;
+            
+            const label = this.form.querySelector(`label[for="${field.id}"]`);
+            const value = field.tagName === 'SELECT' ? field.selectedOptions[0].textContent : field.value;
+            return [label ? label.textContent.trim() : name, value.trim()];
+        }).filter(Boolean);
+    }
+    
+    buildMessage(context) {
+        const details = this.getFormDetails();
+        const section = this.getSection();
+        const estimate = this.form && this.form.querySelector('.form__estimate:not([hidden]) .estimate__text');
+        
+        // A product picked in the form already shows up in the details
+        const product = this.lastProduct && !(this.form && this.form.elements.subject.value)
+            ? this.lastProduct.querySelector('.card__title, .section__title').textContent.trim()
+            : null;
+        
+        return composeMessage({
+            paragraphs: [
+                t(WHATSAPP_GREETINGS[context] || 'whatsapp.greeting'),
+                product && t('whatsapp.product', { product }),
+                section && context !== 'form_error' && t('whatsapp.section', { section }),
+                estimate && estimate.textContent
+            ],
+            detailsTitle: t('whatsapp.details'),
+            details
+        });
+    }
+    
+    buildUrls(link) {
+        const phone = new URL(link.href).pathname.slice(1);
+        const text = this.buildMessage(link.dataset.whatsapp);
+        
+        return {
+            chat: buildChatUrl({ phone, text, platform: this.platform }),
+            fallback: buildChatUrl({ phone, text })
+        };
+    }
+    
+    open({ chat, fallback }) {
+        if (this.platform === 'web') {
+            window.open(chat, '_blank', 'noopener');
+            return;
+        }
+        
+        // Without the app installed the scheme does nothing and the page stays visible
+        location.href = chat;
+        setTimeout(() => {
+            if (document.visibilityState === 'visible') {
+                location.href = fallback;
+            }
+        }, WHATSAPP_APP_TIMEOUT);
+    }
+}
+
+// ============= OFFICE MAP =============
+// Raster tiles laid out straight into .map__tiles, without a map library.
+// Nothing is requested from the tile server before the visitor clicks
+// "Carregar mapa" or has allowed the "maps" consent category; until then,
+// and whenever the tiles fail, the static image stays in place.
+const TILE_SIZE = 256;
+const MAP_ZOOM = { min: 12, max: 18 };
+const MAP_PAN_STEP = 80; // pixels per arrow key press
+
+// Web Mercator: latitude/longitude to pixels of the whole world at a zoom level
+const projectToWorld = (lat, lng, zoom) => {
+    const size = TILE_SIZE * 2 ** zoom;
+    const sin = Math.sin(lat * Math.PI / 180);
+    return {
+        x: ((lng + 180) / 360) * size,
+        y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size
+    };
+};
+
+class OfficeMap {
+    constructor() {
+        this.container = $('[data-map]');
+        if (!this.container) return;
+        
+        const { lat, lng, zoom, tileUrl } = this.container.dataset;
+        this.office = { lat: Number(lat), lng: Number(lng) };
+        this.zoom = Number(zoom) || 16;
+        this.tileUrl = tileUrl;
+        this.pan = { x: 0, y: 0 }; // Offset from the office, in pixels at the current zoom
+        this.tiles = new Map();
+        this.inView = false;
+        this.loaded = false;
+        this.tileLoaded = false;
+        this.tileErrors = 0;
+        this.frame = null;
+        
+        this.staticImage = this.container.querySelector('.map__static');
+        this.viewport = this.container.querySelector('.map__viewport');
+        this.layer = this.container.querySelector('.map__tiles');
+        this.controls = this.container.querySelector('.map__controls');
+        this.overlay = this.container.querySelector('.map__consent');
+        this.status = this.container.querySelector('.map__status');
+        this.attribution = this.container.querySelector('.map__attribution');
+        this.init();
+    }
+    
+    init() {
+        if (!this.tileUrl) return;
+        
+        this.overlay.hidden = false;
+        this.container.querySelector('[data-map-load]').addEventListener('click', () => {
+            this.load();
+            this.viewport.focus();
+        });
+        
+        // Same approach as ScrollReveal: wait until the contact section shows up
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                this.inView = true;
+                observer.unobserve(entry.target);
+                if (hasConsent('maps')) this.load();
+            });
+        }, { threshold: 0.1, rootMargin: '0px 0px 200px 0px' });
+        observer.observe(this.container);
+        
+        document.addEventListener('consent-change', (e) => {
+            if (this.inView && e.detail.categories.maps) this.load();
+        });
+    }
+    
+    load() {
+        if (this.loaded) return;
+        this.loaded = true;
+        
+        this.overlay.hidden = true;
+        this.staticImage.hidden = true;
+        this.viewport.hidden = false;
+        this.controls.hidden = false;
+        this.attribution.hidden = false;
+        
+        this.bindEvents();
+        this.render();
+    }
+    
+    bindEvents() {
+        let drag = null;
+        
+        this.viewport.addEventListener('pointerdown', (e) => {
+            drag = { x: e.clientX, y: e.clientY };
+            this.viewport.setPointerCapture(e.pointerId);
+            this.viewport.classList.add('map__viewport--dragging');
+        });
+        
+        this.viewport.addEventListener('pointermove', (e) => {
+            if (!drag) return;
+            this.panBy(drag.x - e.clientX, drag.y - e.clientY);
+            drag = { x: e.clientX, y: e.clientY };
+        });
+        
+        const endDrag = () => {
+            drag = null;
+            this.viewport.classList.remove('map__viewport--dragging');
+        };
+        this.viewport.addEventListener('pointerup', endDrag);
+        this.viewport.addEventListener('pointercancel', endDrag);
+        
+        this.viewport.addEventListener('keydown', (e) => {
+            const moves = {
+                ArrowUp: [0, -MAP_PAN_STEP],
+                ArrowDown: [0, MAP_PAN_STEP],
+                ArrowLeft: [-MAP_PAN_STEP, 0],
+                ArrowRight: [MAP_PAN_STEP, 0]
+            };
+            
+            if (moves[e.key]) {
+                e.preventDefault();
+                this.panBy(...moves[e.key]);
+            } else if (e.key === '+' || e.key === '=') {
+                this.zoomBy(1);
+            } else if (e.key === '-') {
+                this.zoomBy(-1);
+            }
+        });
+        
+        this.controls.querySelectorAll('[data-map-zoom]').forEach(button => {
+            button.addEventListener('click', () => this.zoomBy(Number(button.dataset.mapZoom)));
+        });
+        
+        // Tiles are laid out for the viewport size, so redraw once a new size settles.
+        // Off screen the scheduler skips the map; a size that changed meanwhile is
+        // caught on the first frame after it comes back
+        const render = debounce(() => this.render(), 150);
+        let last = { viewportWidth: window.innerWidth, viewportHeight: window.innerHeight };
+        
+        scrollScheduler.subscribe({
+            element: this.container,
+            margin: 200,
+            write: (state) => {
+                if (state.viewportWidth === last.viewportWidth && state.viewportHeight === last.viewportHeight) return;
+                last = state;
+                render();
+            }
+        });
+    }
+    
+    panBy(dx, dy) {
+        this.pan.x += dx;
+        this.pan.y += dy;
+        this.scheduleRender();
+    }
+    
+    // Zooms around the centre of the view, so the pan offset scales with it
+    zoomBy(delta) {
+        const zoom = Math.min(Math.max(this.zoom + delta, MAP_ZOOM.min), MAP_ZOOM.max);
+        if (zoom === this.zoom) return;
+        
+        const factor = 2 ** (zoom - this.zoom);
+        this.pan.x *= factor;
+        this.pan.y *= factor;
+        this.zoom = zoom;
+        this.render();
+    }
+    
+    scheduleRender() {
+        if (this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.render();
+        });
+    }
+    
+    tileSource(x, y) {
+        return this.tileUrl
+            .replace('{z}', this.zoom)
+            .replace('{x}', x)
+            .replace('{y}', y);
+    }
+    
+    render() {
+        const width = this.viewport.clientWidth;
+        const height = this.viewport.clientHeight;
+        const office = projectToWorld(this.office.lat, this.office.lng, this.zoom);
+        
+        // World pixel at the top-left corner of the view
+        const left = office.x + this.pan.x - width / 2;
+        const top = office.y + this.pan.y - height / 2;
+        const count = 2 ** this.zoom;
+        const needed = new Set();
+        
+        for (let tx = Math.floor(left / TILE_SIZE); tx <= Math.floor((left + width) / TILE_SIZE); tx++) {
+            for (let ty = Math.floor(top / TILE_SIZE); ty <= Math.floor((top + height) / TILE_SIZE); ty++) {
+                if (ty < 0 || ty >= count) continue;
+                
+                const key = `${this.zoom}/${tx}/${ty}`;
+                needed.add(key);
+                
+                let tile = this.tiles.get(key);
+                if (!tile) {
+                    tile = this.createTile(((tx % count) + count) % count, ty);
+                    this.tiles.set(key, tile);
+                    this.layer.appendChild(tile);
+                }
+                tile.style.transform = `translate(${tx * TILE_SIZE - left}px, ${ty * TILE_SIZE - top}px)`;
+            }
+        }
+        
+        // Drop tiles that scrolled out of view or belong to another zoom level
+        this.tiles.forEach((tile, key) => {
+            if (needed.has(key)) return;
+            tile.remove();
+            this.tiles.delete(key);
+        });
+        
+        // The marker follows the office as the map is dragged
+        this.viewport.style.setProperty('--marker-x', `${width / 2 - this.pan.x}px`);
+        this.viewport.style.setProperty('--marker-y', `${height / 2 - this.pan.y}px`);
+    }
+    
+    createTile(x, y) {
+        const tile = document.createElement('img');
+        tile.className = 'map__tile';
+        tile.alt = '';
+        tile.width = TILE_SIZE;
+        tile.height = TILE_SIZE;
+        tile.draggable = false;
+        
+        tile.addEventListener('load', () => {
+            this.tileLoaded = true;
+        });
+        tile.addEventListener('error', () => {
+            this.tileErrors++;
+            // The provider is down or blocked: go back to the static image
+            if (!this.tileLoaded && this.tileErrors >= 4) this.fallback();
+        });
+        
+        tile.src = this.tileSource(x, y);
+        return tile;
+    }
+    
+    fallback() {
+        this.tiles.forEach(tile => tile.remove());
+        this.tiles.clear();
+        
+        this.viewport.hidden = true;
+        this.controls.hidden = true;
+        this.attribution.hidden = true;
+        this.staticImage.hidden = false;
+        
+        this.overlay.hidden = false;
+        this.overlay.querySelector('[data-map-load]').hidden = true;
+        this.overlay.querySelector('.map__notice').hidden = true;
+        this.status.dataset.i18n = 'contact.mapUnavailable';
+        this.status.textContent = t('contact.mapUnavailable');
+    }
+}
+
 // ============= PARTNER SLIDER =============
 class PartnerSlider {
     constructor() {
@@ -614,7 +4095,8 @@ class AccessibilityHelpers {
         const skipLink = document.createElement('a');
         skipLink.href = '#home';
         skipLink.className = 'skip-link';
-        skipLink.textContent = 'Pular para o conteúdo principal';
+        skipLink.dataset.i18n = 'a11y.skipLink';
+        skipLink.textContent = t('a11y.skipLink');
         skipLink.style.cssText = `
             position: fixed;
             top: -100px;
@@ -656,8 +4138,9 @@ class AccessibilityHelpers {
     setupEscapeKey() {
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
-                // Close any open modals, menus, etc.
-                const event = new CustomEvent('escape-pressed');
+                // Close any open modals, menus, etc. The first component that closes
+                // something cancels the event, so one press closes one thing
+                const event = new CustomEvent('escape-pressed', { cancelable: true });
                 document.dispatchEvent(event);
             }
         });
@@ -688,62 +4171,292 @@ class AccessibilityHelpers {
     }
 }
 
-// ============= PERFORMANCE MONITORING =============
-class PerformanceMonitor {
+// ============= WEB VITALS =============
+// Field data for LCP, CLS, INP, FCP and TTFB. A share of page views, set by
+// <body data-vitals-sample-rate> (every one in development), reports to
+// data-vitals-endpoint when the page is hidden, only with analytics consent.
+// A metric that changes afterwards, like CLS on a long visit, is sent again
+// under the same page view id; vitals.js keeps the last value of each.
+const VITALS_THRESHOLDS = {
+    LCP: [2500, 4000],
+    CLS: [0.1, 0.25],
+    INP: [200, 500],
+    FCP: [1800, 3000],
+    TTFB: [800, 1800]
+};
+
+const rateVital = (name, value) => {
+    const [good, poor] = VITALS_THRESHOLDS[name];
+    if (value <= good) return 'good';
+    return value <= poor ? 'needs-improvement' : 'poor';
+};
+
+// Short selector-like description for attribution, e.g. "#contato button.btn"
+const describeElement = (element) => {
+    if (!element || !element.tagName) return '';
+    
+    const name = element.tagName.toLowerCase();
+    if (element.id) return `${name}#${element.id}`;
+    
+    // SVG elements have an SVGAnimatedString for className
+    const className = typeof element.className === 'string' ? element.className.trim().split(/\s+/)[0] : '';
+    const description = className ? `${name}.${className}` : name;
+    const section = element.parentElement && element.parentElement.closest('[id]');
+    return (section ? `#${section.id} ${description}` : description).slice(0, 100);
+};
+
+class WebVitals {
     constructor() {
+        const { vitalsEndpoint, vitalsSampleRate = '1' } = document.body.dataset;
+        const sampleRate = isDevelopment ? 1 : parseFloat(vitalsSampleRate);
+        if (!vitalsEndpoint || !('PerformanceObserver' in window) || !(Math.random() < sampleRate)) return;
+        
+        this.endpoint = vitalsEndpoint;
+        this.id = generateId();
+        this.metrics = new Map();
+        this.pending = new Set();
+        this.navigationType = '';
         this.init();
     }
     
     init() {
-        if (!window.performance || !window.performance.timing) return;
+        this.measureTTFB();
+        this.measureFCP();
+        this.measureLCP();
+        this.measureCLS();
+        this.measureINP();
         
-        window.addEventListener('load', () => {
-            setTimeout(() => {
-                const timing = window.performance.timing;
-                const loadTime = timing.loadEventEnd - timing.navigationStart;
-                const domReadyTime = timing.domContentLoadedEventEnd - timing.navigationStart;
-                const firstPaintTime = this.getFirstPaintTime();
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        });
+        window.addEventListener('pagehide', () => this.flush());
+    }
+    
+    // Returns null for entry types this browser doesn't have (Safari has no LCP, CLS or INP)
+    observe(type, callback, options = {}) {
+        if (!(PerformanceObserver.supportedEntryTypes || []).includes(type)) return null;
+        
+        const observer = new PerformanceObserver(list => callback(list.getEntries()));
+        observer.observe({ type, buffered: true, ...options });
+        return observer;
+    }
+    
+    measureTTFB() {
+        const navigation = performance.getEntriesByType('navigation')[0];
+        if (!navigation) return;
+        
+        this.navigationType = navigation.type;
+        // Where the wait went, in milliseconds
+        this.report('TTFB', Math.max(navigation.responseStart, 0), {
+            dns: Math.round(navigation.domainLookupEnd - navigation.domainLookupStart),
+            connection: Math.round(navigation.connectEnd - navigation.connectStart),
+            server: Math.round(navigation.responseStart - navigation.requestStart)
+        });
+    }
+    
+    measureFCP() {
+        this.observe('paint', entries => {
+            const entry = entries.find(paint => paint.name === 'first-contentful-paint');
+            if (entry) this.report('FCP', entry.startTime);
+        });
+    }
+    
+    // The last candidate counts; the browser stops looking after the first input
+    measureLCP() {
+        const observer = this.observe('largest-contentful-paint', entries => {
+            const entry = entries[entries.length - 1];
+            this.report('LCP', entry.startTime, {
+                element: describeElement(entry.element),
+                url: entry.url ? entry.url.split('?')[0].slice(0, 100) : '',
+                size: entry.size
+            });
+        });
+        if (!observer) return;
+        
+        const stop = () => observer.disconnect();
+        ['keydown', 'pointerdown'].forEach(type => {
+            window.addEventListener(type, stop, { once: true, capture: true });
+        });
+    }
+    
+    // Shifts less than a second apart (up to five seconds in all) form a session,
+    // and the worst session counts. Shifts right after an input are expected.
+    measureCLS() {
+        let session = { value: 0, entries: [] };
+        
+        const observer = this.observe('layout-shift', entries => {
+            entries.forEach(entry => {
+                if (entry.hadRecentInput) return;
                 
-                console.group('Performance Metrics');
-                console.log(`Page Load Time: ${loadTime}ms`);
-                console.log(`DOM Ready Time: ${domReadyTime}ms`);
-                if (firstPaintTime) {
-                    console.log(`First Paint Time: ${firstPaintTime}ms`);
+                const first = session.entries[0];
+                const last = session.entries[session.entries.length - 1];
+                if (last && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+                    session.value += entry.value;
+                    session.entries.push(entry);
+                } else {
+                    session = { value: entry.value, entries: [entry] };
                 }
-                console.groupEnd();
-            }, 0);
+                
+                const current = this.metrics.get('CLS');
+                if (current && session.value <= current.value) return;
+                
+                const largest = session.entries.reduce((a, b) => (b.value > a.value ? b : a));
+                const source = (largest.sources || []).find(item => item.node);
+                this.report('CLS', session.value, {
+                    element: source ? describeElement(source.node) : '',
+                    time: Math.round(largest.startTime)
+                });
+            });
         });
+        
+        // A page that never shifts still reports its zero
+        if (observer && !this.metrics.has('CLS')) this.report('CLS', 0);
+    }
+    
+    // The slowest interaction, skipping one in every 50 so a single hiccup on a
+    // long visit doesn't decide it. Each interaction is its slowest event.
+    measureINP() {
+        const interactions = new Map();
+        
+        const handleEntries = (entries) => {
+            entries.forEach(entry => {
+                if (!entry.interactionId) return;
+                const known = interactions.get(entry.interactionId);
+                if (!known || entry.duration > known.duration) interactions.set(entry.interactionId, entry);
+            });
+            if (interactions.size === 0) return;
+            
+            const slowest = Array.from(interactions.values()).sort((a, b) => b.duration - a.duration);
+            const entry = slowest[Math.floor(interactions.size / 50)];
+            this.report('INP', entry.duration, {
+                element: describeElement(entry.target),
+                event: entry.name,
+                inputDelay: Math.round(entry.processingStart - entry.startTime),
+                processing: Math.round(entry.processingEnd - entry.processingStart),
+                presentation: Math.round(entry.startTime + entry.duration - entry.processingEnd)
+            });
+        };
+        
+        this.observe('event', handleEntries, { durationThreshold: 40 });
+        this.observe('first-input', handleEntries);
+    }
+    
+    report(name, value, attribution = {}) {
+        const rounded = name === 'CLS' ? Math.round(value * 10000) / 10000 : Math.round(value);
+        const current = this.metrics.get(name);
+        if (current && current.value === rounded) return;
+        
+        this.metrics.set(name, { name, value: rounded, rating: rateVital(name, rounded), attribution });
+        this.pending.add(name);
     }
     
-    getFirstPaintTime() {
-        if (window.performance && window.performance.getEntriesByType) {
-            const paintEntries = window.performance.getEntriesByType('paint');
-            const firstPaint = paintEntries.find(entry => entry.name === 'first-contentful-paint');
-            return firstPaint ? Math.round(firstPaint.startTime) : null;
+    // One beacon with everything that changed since the last one
+    flush() {
+        if (this.pending.size === 0 || !hasConsent('analytics')) return;
+        
+        const metrics = Array.from(this.pending, name => ({
+            id: this.id,
+            ...this.metrics.get(name),
+            navigationType: this.navigationType,
+            path: location.pathname
+        }));
+        this.pending.clear();
+        
+        if (isDevelopment) {
+            metrics.forEach(metric => console.info(`[vitals] ${metric.name} ${metric.value} (${metric.rating})`, metric.attribution));
         }
-        return null;
+        
+        const body = JSON.stringify({ metrics });
+        if (navigator.sendBeacon && navigator.sendBeacon(this.endpoint, body)) return;
+        fetch(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body,
+            keepalive: true
+        }).catch(() => {});
     }
 }
 
 // ============= SERVICE WORKER REGISTRATION =============
+// sw.js keeps the site usable offline. A new version waits until the visitor
+// accepts the update prompt, then takes over and the page reloads.
 class ServiceWorkerManager {
     constructor() {
+        this.toast = $('.update-toast');
+        this.waiting = null;
+        this.reloading = false;
         this.init();
     }
     
     init() {
-        if ('serviceWorker' in navigator && location.protocol === 'https:') {
+        // Secure contexts cover HTTPS and localhost, the only places browsers allow it
+        if ('serviceWorker' in navigator && window.isSecureContext) {
             window.addEventListener('load', () => {
                 navigator.serviceWorker.register('/sw.js')
-                    .then(registration => {
-                        console.log('ServiceWorker registered:', registration);
-                    })
+                    .then(registration => this.watch(registration))
                     .catch(error => {
                         console.log('ServiceWorker registration failed:', error);
                     });
             });
+            
+            // Only reload for an update the visitor asked for, not the first install
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (!this.waiting || this.reloading) return;
+                this.reloading = true;
+                location.reload();
+            });
+        }
+        
+        if (this.toast) {
+            this.toast.querySelector('[data-update-action="reload"]').addEventListener('click', () => this.applyUpdate());
+            this.toast.querySelector('[data-update-action="dismiss"]').addEventListener('click', () => {
+                this.toast.hidden = true;
+            });
+            
+            document.addEventListener('escape-pressed', (e) => {
+                if (this.toast.hidden || this.toast.hasAttribute('inert') || e.defaultPrevented) return;
+                e.preventDefault();
+                this.toast.hidden = true;
+            });
+        }
+    }
+    
+    watch(registration) {
+        // An update installed during an earlier visit is still waiting
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            this.promptUpdate(registration.waiting);
+        }
+        
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.promptUpdate(worker);
+                }
+            });
+        });
+        
+        // Long-lived tabs look for a new version whenever they come back into view
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') registration.update().catch(() => {});
+        });
+    }
+    
+    promptUpdate(worker) {
+        this.waiting = worker;
+        if (!this.toast) return;
+        
+        this.toast.hidden = false;
+        if (window.announce) {
+            window.announce(t('update.available'));
         }
     }
+    
+    applyUpdate() {
+        if (!this.waiting) return;
+        this.toast.hidden = true;
+        this.waiting.postMessage({ type: 'SKIP_WAITING' });
+    }
 }
 
 // ============= INITIALIZATION =============
@@ -753,6 +4466,9 @@ class App {
     }
     
     init() {
+        // First, so whatever goes wrong from here on is reported
+        errorMonitor.install();
+        
         // Wait for DOM to be ready
         if (document.readyState === 'loading') {
             document.addEventListener('DOMContentLoaded', () => this.initComponents());
@@ -763,28 +4479,34 @@ class App {
     
     initComponents() {
         // Core components
-        new Navigation();
-        new SmoothScroll();
-        new FormHandler();
-        new BackToTop();
+        this.start(LanguageSwitcher);
+        this.start(ConsentManager);
+        this.start(Navigation);
+        this.start(SmoothScroll);
+        this.start(ProductRouter);
+        this.start(ScrollSpy);
+        this.start(FormHandler);
+        this.start(BackToTop);
         
         // Visual effects
-        new ParallaxEffect();
-        new ScrollReveal();
-        new CardTilt();
-        new AnimatedCounters();
-        new HeroScroll();
-        new PartnerSlider();
+        this.start(ParallaxEffect);
+        this.start(ScrollReveal);
+        this.start(CardTilt);
+        this.start(PremiumEstimator);
+        this.start(BusinessHours);
+        this.start(WhatsAppHandoff);
+        this.start(OfficeMap);
+        this.start(AnimatedCounters);
+        this.start(HeroScroll);
+        this.start(PartnerSlider);
         
         // Utilities
-        new LazyImages();
-        new AccessibilityHelpers();
+        this.start(LazyImages);
+        this.start(AccessibilityHelpers);
+        this.start(WebVitals);
         
-        // Optional components (only in production)
-        if (location.hostname !== 'localhost' && location.hostname !== '127.0.0.1') {
-            new PerformanceMonitor();
-            // new ServiceWorkerManager(); // Uncomment when SW is ready
-        }
+        // Offline support
+        this.start(ServiceWorkerManager);
         
         // Log successful initialization
         console.log('🚀 Pieruccini Seguros - Site initialized successfully');
@@ -792,6 +4514,16 @@ class App {
         // Add loaded class to body for CSS animations
         document.body.classList.add('loaded');
     }
+    
+    // A component that fails to start is reported and skipped, the others still run
+    start(Component) {
+        try {
+            return new Component();
+        } catch (error) {
+            errorMonitor.capture(error, { source: 'component', component: Component.name });
+            return null;
+        }
+    }
 }
 
 // Start the application
@@ -804,5 +4536,11 @@ window.PierucciniUtils = {
     isInViewport,
     debounce,
     throttle,
-    announce: window.announce
+    announce: window.announce,
+    validators: Validators,
+    masks: Masks,
+    cepProviders: CEP_PROVIDERS,
+    hasConsent,
+    i18n,
+    track
 };
\ No newline at end of file
@@ -0,0 +1,86 @@
+/* ===============================================
+   PIERUCCINI SEGUROS - Scroll Scheduler
+   One passive scroll and resize listener for all
+   scroll-driven components: every read, then every
+   write, once per animation frame
+   =============================================== */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PierucciniScroll = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // ============= SCHEDULER =============
+    // subscribe({ read, write, element, margin }) returns an unsubscribe function.
+    // read(state) may measure the DOM and write(state, value) gets what it returned;
+    // writes only change the DOM, so nothing forces a layout in between. state is
+    // { scrollY, viewportWidth, viewportHeight }, read once per frame.
+    // With an element, the subscriber is skipped while the element is more than
+    // margin pixels outside the viewport.
+    const createScrollScheduler = (win) => {
+        const doc = win.document;
+        const subscribers = new Set();
+        let frame = null;
+
+        const run = () => {
+            frame = null;
+            const state = {
+                scrollY: win.pageYOffset,
+                viewportWidth: win.innerWidth,
+                viewportHeight: win.innerHeight
+            };
+
+            const active = Array.from(subscribers).filter(subscriber => subscriber.visible);
+            const values = active.map(subscriber => (subscriber.read ? subscriber.read(state) : undefined));
+            active.forEach((subscriber, index) => {
+                if (subscriber.write) subscriber.write(state, values[index]);
+            });
+        };
+
+        // Any number of events before the next frame share that frame
+        const schedule = () => {
+            if (frame !== null || subscribers.size === 0 || doc.visibilityState === 'hidden') return;
+            frame = win.requestAnimationFrame(run);
+        };
+
+        win.addEventListener('scroll', schedule, { passive: true });
+        win.addEventListener('resize', schedule, { passive: true });
+
+        // Nothing runs in a hidden tab; coming back catches up with one frame
+        doc.addEventListener('visibilitychange', () => {
+            if (doc.visibilityState === 'hidden') {
+                if (frame !== null) win.cancelAnimationFrame(frame);
+                frame = null;
+            } else {
+                schedule();
+            }
+        });
+
+        const subscribe = ({ read, write, element = null, margin = 0 }) => {
+            const subscriber = { read, write, visible: true };
+            let observer = null;
+
+            if (element && typeof win.IntersectionObserver === 'function') {
+                observer = new win.IntersectionObserver((entries) => {
+                    subscriber.visible = entries[entries.length - 1].isIntersecting;
+                    if (subscriber.visible) schedule();
+                }, { rootMargin: `${margin}px 0px` });
+                observer.observe(element);
+            }
+
+            subscribers.add(subscriber);
+            schedule();
+
+            return () => {
+                subscribers.delete(subscriber);
+                if (observer) observer.disconnect();
+            };
+        };
+
+        return { subscribe, schedule };
+    };
+
+    return { createScrollScheduler };
+});
@@ -0,0 +1,1383 @@
+/* ===============================================
+   PIERUCCINI SEGUROS - Local Server
+   Static files + lead, claim, privacy request, analytics,
+   web vitals, error report and client area endpoints
+   Run with: node server.js (PORT, DATA_DIR and the settings
+   below are read from the environment); for the client area
+   with sample data: POLICY_DATA_DIR=fixtures node server.js
+   =============================================== */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { validators } = require('./validators');
+const { estimatePremium } = require('./estimator');
+const { DEFAULT_LOCALE, LOCALES, messages, createTranslator } = require('./i18n');
+const RATE_TABLE = require('./rates.json');
+const PRODUCT_CATALOG = require('./products.json');
+
+// ============= CONFIGURATION =============
+const PORT = Number(process.env.PORT) || 3000;
+const ROOT_DIR = __dirname;
+const DATA_DIR = process.env.DATA_DIR || path.join(ROOT_DIR, 'data');
+const MAX_BODY_SIZE = 16 * 1024; // 16kb is plenty for a quote request
+const MAX_PHOTO_SIZE = 2 * 1024 * 1024; // Claim photos are resized by the browser first
+
+// Abuse protection, all overridable through the environment
+const ABUSE_CONFIG = {
+    rateLimitMax: Number(process.env.RATE_LIMIT_MAX) || 5,
+    rateLimitWindowMs: Number(process.env.RATE_LIMIT_WINDOW_MS) || 10 * 60 * 1000, // 10 minutes
+    // Analytics batches arrive far more often than leads, so they get their own budget
+    eventRateLimitMax: Number(process.env.EVENT_RATE_LIMIT_MAX) || 120,
+    // A claim comes with several photos, each uploaded on its own
+    photoRateLimitMax: Number(process.env.PHOTO_RATE_LIMIT_MAX) || 40,
+    minFillTimeMs: Number(process.env.MIN_FILL_TIME_MS) || 3000,
+    // The stub accepts a fixed token anyone can send, so production has to
+    // name a real provider; createServer refuses to start without one
+    challengeProvider: process.env.CHALLENGE_PROVIDER || (process.env.NODE_ENV === 'production' ? null : 'stub'),
+    trustProxy: process.env.TRUST_PROXY === 'true'
+};
+
+// Client area sign-in, also overridable through the environment
+const CLIENT_AREA_CONFIG = {
+    // Where the office's system exports policies.json and documents/
+    policyDataDir: process.env.POLICY_DATA_DIR ? path.resolve(ROOT_DIR, process.env.POLICY_DATA_DIR) : DATA_DIR,
+    // Base of the sign-in links; never taken from the Host header, which anyone can set
+    publicUrl: process.env.PUBLIC_URL || `http://localhost:${PORT}`,
+    mailer: process.env.MAILER || 'outbox',
+    loginTokenTtlMs: Number(process.env.LOGIN_TOKEN_TTL_MS) || 15 * 60 * 1000, // 15 minutes
+    sessionTtlMs: Number(process.env.SESSION_TTL_MS) || 2 * 60 * 60 * 1000, // 2 hours
+    // Sign-in links per email address and rate limit window
+    loginLinkMax: Number(process.env.LOGIN_LINK_MAX) || 3
+};
+
+// The only files served statically; the rest of the tree (server code, data,
+// fixtures, git metadata) stays private
+const PUBLIC_FILES = [
+    'index.html',
+    'offline.html',
+    'styles.css',
+    'i18n.js',
+    'validators.js',
+    'estimator.js',
+    'hours.js',
+    'images.js',
+    'whatsapp.js',
+    'scroll.js',
+    'script.js',
+    'sw.js',
+    'manifest.webmanifest',
+    'porto.png',
+    'hours.json',
+    'rates.json',
+    'products.json'
+];
+const PUBLIC_DIRS = ['assets', 'locales', 'bench'];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.pdf': 'application/pdf'
+};
+
+// ============= VALIDATION =============
+// Mirrors the form markup; formats come from validators.js, shared with the browser
+const LEAD_RULES = {
+    name: { required: true, maxLength: 120 },
+    email: { required: true, maxLength: 160, validate: 'email' },
+    phone: {
+        required: true,
+        maxLength: 20,
+        validate: (payload) => !payload.phoneCountry || payload.phoneCountry === 'BR' ? 'phone' : 'intlPhone'
+    },
+    phoneCountry: { required: false, pattern: /^[A-Z]{2}$/ },
+    document: { required: true, maxLength: 18, validate: 'cpfCnpj' },
+    // The products of the catalog (products.json), plus "other" for anything else
+    subject: { required: true, options: [...PRODUCT_CATALOG.products.map(product => product.id), 'other'] },
+    message: { required: false, maxLength: 2000 },
+    // LGPD consent, tied to the version of the privacy notice the visitor saw
+    consent: { required: true, options: ['accepted'] },
+    consentVersion: { required: true, maxLength: 20, pattern: /^[\w.-]+$/ },
+    // Generated by the browser so retried submissions can be deduplicated
+    clientId: { required: false, maxLength: 64, pattern: /^[\w-]+$/ }
+};
+
+// Extra fields collected by the quote wizard for each insurance type
+const yearsAgo = (years) => {
+    const today = new Date();
+    return new Date(today.getFullYear() - years, today.getMonth(), today.getDate()).toISOString().slice(0, 10);
+};
+
+const DETAIL_RULES = {
+    auto: {
+        plate: { required: true, validate: 'plate' },
+        vehicleModel: { required: true, maxLength: 80 },
+        vehicleYear: { required: true, type: 'integer', min: 1980, max: () => new Date().getFullYear() + 1 },
+        parkingCep: { required: true, validate: 'cep' },
+        parkingCity: { required: true, maxLength: 80 }
+    },
+    home: {
+        propertyType: { required: true, options: ['house', 'apartment', 'condo'] },
+        propertyCep: { required: true, validate: 'cep' },
+        propertyStreet: { required: true, maxLength: 160 },
+        propertyCity: { required: true, maxLength: 80 },
+        propertyArea: { required: true, type: 'integer', min: 10, max: 100000 },
+        propertyValue: { required: true, type: 'integer', min: 10000 }
+    },
+    life: {
+        birthDate: { required: true, type: 'date', min: () => yearsAgo(80), max: () => yearsAgo(18) },
+        profession: { required: true, maxLength: 80 },
+        coverageAmount: { required: true, type: 'integer', min: 10000, max: 10000000 }
+    }
+};
+
+// Products added to the catalog without rules of their own are checked
+// against what their fields declare in products.json
+const catalogDetailRules = ({ details = [] }) => Object.fromEntries(details.map(field => {
+    const rule = { required: true, maxLength: 160 };
+    if (field.validate) rule.validate = field.validate;
+    if (field.options) rule.options = field.options.map(option => option.value).filter(Boolean);
+    if (field.type === 'number') Object.assign(rule, { type: 'integer', min: field.min, max: field.max });
+    if (field.type === 'date') rule.type = 'date';
+    return [field.name, rule];
+}));
+
+PRODUCT_CATALOG.products.forEach(product => {
+    if (!DETAIL_RULES[product.id]) DETAIL_RULES[product.id] = catalogDetailRules(product);
+});
+
+// Access and deletion requests from data subjects (LGPD art. 18)
+const PRIVACY_REQUEST_RULES = {
+    email: { required: true, maxLength: 160, validate: 'email' },
+    type: { required: true, options: ['access', 'deletion'] },
+    document: { required: false, maxLength: 18, validate: 'cpfCnpj' },
+    message: { required: false, maxLength: 2000 },
+    clientId: { required: false, maxLength: 64, pattern: /^[\w-]+$/ }
+};
+
+// Deadline for answering a request (LGPD art. 19, II)
+const PRIVACY_RESPONSE_DAYS = 15;
+
+// Claim notifications (sinistros). Photos are uploaded beforehand and listed by id.
+const CLAIM_RULES = {
+    lookupType: { required: true, options: ['policy', 'cpf'] },
+    lookup: {
+        required: true,
+        maxLength: 24,
+        validate: (payload) => payload.lookupType === 'cpf' ? 'cpf' : 'policy'
+    },
+    name: { required: true, maxLength: 120 },
+    phone: { required: true, maxLength: 20, validate: 'phone' },
+    incidentType: { required: true, options: ['collision', 'theft', 'glass', 'weather', 'fire', 'water', 'other'] },
+    incidentDate: { required: true, type: 'date', min: () => yearsAgo(1), max: () => yearsAgo(0) },
+    incidentTime: { required: false, pattern: /^([01]\d|2[0-3]):[0-5]\d$/ },
+    incidentLocation: { required: true, maxLength: 160 },
+    description: { required: true, maxLength: 2000 },
+    consent: { required: true, options: ['accepted'] },
+    consentVersion: { required: true, maxLength: 20, pattern: /^[\w.-]+$/ },
+    clientId: { required: false, maxLength: 64, pattern: /^[\w-]+$/ }
+};
+
+// Sign-in link requests; the locale picks the language of the email
+const LOGIN_RULES = {
+    email: { required: true, maxLength: 160, validate: 'email' },
+    locale: { required: false, options: LOCALES }
+};
+
+const MAX_CLAIM_PHOTOS = 8;
+const PHOTO_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Campaign and referrer of the visit that produced a lead, captured by the browser
+const ATTRIBUTION_RULES = {
+    source: { required: false, maxLength: 100 },
+    medium: { required: false, maxLength: 100 },
+    campaign: { required: false, maxLength: 100 },
+    term: { required: false, maxLength: 100 },
+    content: { required: false, maxLength: 100 },
+    referrer: { required: false, maxLength: 300 },
+    landingPage: { required: false, maxLength: 300 }
+};
+
+// Analytics events sent by the collector sink in script.js
+const EVENT_RULES = {
+    id: { required: false, maxLength: 64, pattern: /^[\w-]+$/ },
+    name: { required: true, maxLength: 40, pattern: /^[a-z][a-z0-9_]*$/ },
+    timestamp: { required: true, maxLength: 30, pattern: /^\d{4}-\d{2}-\d{2}T[\d:.]+Z$/ },
+    path: { required: false, maxLength: 200 },
+    locale: { required: false, maxLength: 10, pattern: /^[a-zA-Z-]+$/ }
+};
+
+const MAX_EVENTS_PER_BATCH = 20;
+const MAX_EVENT_PROPERTIES = 10;
+
+// Core Web Vitals sent by WebVitals in script.js, see vitals.js for the report
+const VITAL_NAMES = ['LCP', 'CLS', 'INP', 'FCP', 'TTFB'];
+const VITAL_RULES = {
+    id: { required: true, maxLength: 64, pattern: /^[\w-]+$/ },
+    name: { required: true, options: VITAL_NAMES },
+    // A small CLS arrives as 1e-7, so the value is checked as a number, not by its digits
+    value: { required: true, type: 'number', min: 0, max: 10 * 60 * 1000 },
+    rating: { required: true, options: ['good', 'needs-improvement', 'poor'] },
+    navigationType: { required: false, maxLength: 20, pattern: /^[a-z_-]+$/ },
+    path: { required: false, maxLength: 200 }
+};
+
+// Limits may be functions when they depend on today's date
+const resolveLimit = (limit) => typeof limit === 'function' ? limit() : limit;
+
+// Some formats depend on another field, like the phone on its country
+const resolveValidator = (rule, payload) => (
+    typeof rule.validate === 'function' ? rule.validate(payload) : rule.validate
+);
+
+const checkRange = (rule, value) => {
+    const min = resolveLimit(rule.min);
+    const max = resolveLimit(rule.max);
+    return (min === undefined || value >= min) && (max === undefined || value <= max);
+};
+
+const applyRules = (rules, payload, errors) => {
+    const values = {};
+
+    Object.entries(rules).forEach(([field, rule]) => {
+        const raw = payload[field];
+        const value = typeof raw === 'string' || typeof raw === 'number' ? String(raw).trim() : '';
+
+        if (!value) {
+            if (rule.required) errors[field] = 'required';
+            values[field] = value;
+            return;
+        }
+
+        if (rule.maxLength && value.length > rule.maxLength) {
+            errors[field] = 'too_long';
+        } else if (rule.validate && !validators[resolveValidator(rule, payload)](value)) {
+            errors[field] = 'invalid';
+        } else if (rule.pattern && !rule.pattern.test(value)) {
+            errors[field] = 'invalid';
+        } else if (rule.options && !rule.options.includes(value)) {
+            errors[field] = 'invalid';
+        } else if (rule.type === 'integer' && !(/^\d+$/.test(value) && checkRange(rule, Number(value)))) {
+            errors[field] = 'invalid';
+        } else if (rule.type === 'number' && !(Number.isFinite(Number(value)) && checkRange(rule, Number(value)))) {
+            errors[field] = 'invalid';
+        } else if (rule.type === 'date' && !(/^\d{4}-\d{2}-\d{2}$/.test(value) && checkRange(rule, value))) {
+            errors[field] = 'invalid';
+        }
+
+        values[field] = rule.type === 'integer' || rule.type === 'number' ? Number(value) : value;
+    });
+
+    return values;
+};
+
+// Estimates from the product cards are recomputed from their inputs so a
+// tampered price never reaches the broker; a bad one is dropped, not the lead
+const recomputeEstimate = (raw) => {
+    try {
+        const { product, inputs } = typeof raw === 'string' ? JSON.parse(raw) : raw;
+        return estimatePremium(RATE_TABLE, product, inputs || {});
+    } catch (error) {
+        console.warn(`Ignoring invalid estimate: ${error.message}`);
+        return null;
+    }
+};
+
+const validateLead = (payload) => {
+    const errors = {};
+    const { consent, consentVersion, ...lead } = applyRules(LEAD_RULES, payload, errors);
+
+    if (consent) {
+        lead.consent = { policyVersion: consentVersion, acceptedAt: new Date().toISOString() };
+    }
+
+    const detailRules = DETAIL_RULES[lead.subject];
+    if (detailRules) {
+        lead.details = applyRules(detailRules, payload, errors);
+    }
+
+    if (payload.estimate) {
+        const estimate = recomputeEstimate(payload.estimate);
+        if (estimate) lead.estimate = estimate;
+    }
+
+    // Like the estimate, bad attribution is dropped rather than failing the lead
+    if (payload.attribution && typeof payload.attribution === 'object') {
+        const attributionErrors = {};
+        const attribution = applyRules(ATTRIBUTION_RULES, payload.attribution, attributionErrors);
+        if (Object.keys(attributionErrors).length === 0) {
+            lead.attribution = Object.fromEntries(Object.entries(attribution).filter(([, value]) => value));
+        }
+    }
+
+    return { lead, errors };
+};
+
+// Photo ids are only checked for shape here; the route checks they were uploaded
+const validateClaim = (payload) => {
+    const errors = {};
+    const { consent, consentVersion, ...claim } = applyRules(CLAIM_RULES, payload, errors);
+
+    if (consent) {
+        claim.consent = { policyVersion: consentVersion, acceptedAt: new Date().toISOString() };
+    }
+
+    const photos = payload.photos === undefined ? [] : payload.photos;
+    if (!Array.isArray(photos) || photos.length > MAX_CLAIM_PHOTOS ||
+        !photos.every(id => typeof id === 'string' && PHOTO_ID_PATTERN.test(id))) {
+        errors.photos = 'invalid';
+    } else {
+        claim.photos = [...new Set(photos)];
+    }
+
+    return { claim, errors };
+};
+
+// A few short scalar values, anything else is dropped
+const filterProperties = (properties) => {
+    if (!properties || typeof properties !== 'object') return {};
+
+    return Object.fromEntries(Object.entries(properties)
+        .filter(([key, value]) => /^[a-zA-Z]\w{0,30}$/.test(key) && (
+            typeof value === 'number' || typeof value === 'boolean' || (typeof value === 'string' && value.length <= 100)
+        ))
+        .slice(0, MAX_EVENT_PROPERTIES));
+};
+
+// Client-side errors sent by ErrorMonitor in script.js
+const ERROR_RULES = {
+    id: { required: true, maxLength: 64, pattern: /^[\w-]+$/ },
+    name: { required: true, maxLength: 60 },
+    message: { required: true, maxLength: 300 },
+    stack: { required: false, maxLength: 2000 },
+    source: { required: true, options: ['error', 'unhandledrejection', 'component'] },
+    component: { required: false, maxLength: 40, pattern: /^\w+$/ },
+    url: { required: false, maxLength: 200 },
+    locale: { required: false, maxLength: 10, pattern: /^[a-zA-Z-]+$/ },
+    userAgent: { required: false, maxLength: 300 },
+    timestamp: { required: true, maxLength: 30, pattern: /^\d{4}-\d{2}-\d{2}T[\d:.]+Z$/ }
+};
+
+const MAX_ERROR_BREADCRUMBS = 20;
+
+// Returns the event without unknown fields, or null when it's malformed
+const validateEvent = (payload) => {
+    if (!payload || typeof payload !== 'object') return null;
+
+    const errors = {};
+    const event = applyRules(EVENT_RULES, payload, errors);
+    if (Object.keys(errors).length > 0) return null;
+
+    event.properties = filterProperties(payload.properties);
+    return event;
+};
+
+// Returns the report without unknown fields, or null when it's malformed.
+// Breadcrumbs are limited like event properties and need a type.
+const validateErrorReport = (payload) => {
+    if (!payload || typeof payload !== 'object') return null;
+
+    const errors = {};
+    const report = applyRules(ERROR_RULES, payload, errors);
+    if (Object.keys(errors).length > 0) return null;
+
+    const breadcrumbs = Array.isArray(payload.breadcrumbs) ? payload.breadcrumbs : [];
+    report.breadcrumbs = breadcrumbs
+        .slice(-MAX_ERROR_BREADCRUMBS)
+        .map(filterProperties)
+        .filter(crumb => typeof crumb.type === 'string');
+    return report;
+};
+
+// Same for a web vitals metric; attribution is limited like event properties
+const validateVital = (payload) => {
+    if (!payload || typeof payload !== 'object') return null;
+
+    const errors = {};
+    const metric = applyRules(VITAL_RULES, payload, errors);
+    if (Object.keys(errors).length > 0) return null;
+
+    metric.attribution = filterProperties(payload.attribution);
+    return metric;
+};
+
+// ============= DATA STORE =============
+// A JSON array on disk, one file per kind of record
+class JsonStore {
+    constructor(dir, fileName) {
+        this.file = path.join(dir, fileName);
+        this.queue = Promise.resolve();
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    async readAll() {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    // Writes are serialized so concurrent requests never clobber each other.
+    // A record whose clientId is already stored is returned as-is instead of duplicated.
+    add(data) {
+        const task = this.queue.then(async () => {
+            const records = await this.readAll();
+            const existing = data.clientId && records.find(item => item.clientId === data.clientId);
+            if (existing) return { record: existing, created: false };
+
+            const record = {
+                id: crypto.randomUUID(),
+                createdAt: new Date().toISOString(),
+                ...data
+            };
+            records.push(record);
+
+            // Write to a temp file first so a crash never leaves a truncated store
+            const tmpFile = `${this.file}.tmp`;
+            await fs.promises.writeFile(tmpFile, JSON.stringify(records, null, 2));
+            await fs.promises.rename(tmpFile, this.file);
+            return { record, created: true };
+        });
+
+        this.queue = task.catch(() => {});
+        return task;
+    }
+}
+
+// Analytics events, web vitals and error reports are only ever appended, one JSON line each
+const createEventLog = (dir, fileName = 'events.log') => {
+    const file = path.join(dir, fileName);
+
+    return (events) => {
+        const receivedAt = new Date().toISOString();
+        const lines = events.map(event => JSON.stringify({ receivedAt, ...event })).join('\n');
+        return fs.promises.appendFile(file, `${lines}\n`);
+    };
+};
+
+// Claim photos, one JPEG file each, named after a random id
+const createPhotoStore = (dir) => {
+    const photoDir = path.join(dir, 'claim-photos');
+    const fileFor = (id) => path.join(photoDir, `${id}.jpg`);
+    fs.mkdirSync(photoDir, { recursive: true });
+
+    return {
+        save: async (content) => {
+            const id = crypto.randomUUID();
+            await fs.promises.writeFile(fileFor(id), content);
+            return id;
+        },
+        exists: (id) => fs.promises.access(fileFor(id)).then(() => true, () => false)
+    };
+};
+
+// Clients and their policies as exported by the office's management system:
+// policies.json plus the PDFs in documents/. Read on every request, so a new
+// export shows up without a restart.
+const createPolicyStore = (dir) => {
+    const read = async () => {
+        try {
+            return JSON.parse(await fs.promises.readFile(path.join(dir, 'policies.json'), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return { clients: [], policies: [] };
+            throw error;
+        }
+    };
+
+    return {
+        findClient: async (id) => (await read()).clients.find(client => client.id === id) || null,
+        findClientByEmail: async (email) => (await read()).clients
+            .find(client => client.email.toLowerCase() === email.toLowerCase()) || null,
+        listPolicies: async (clientId) => (await read()).policies.filter(policy => policy.clientId === clientId),
+        // basename() keeps a bad export from pointing outside documents/
+        documentPath: (document) => path.join(dir, 'documents', path.basename(document.file))
+    };
+};
+
+// ============= CLIENT AREA SESSIONS =============
+// Random tokens kept in memory under their SHA-256, so nothing stored is
+// usable as a token. Sign-in links and sessions are both tokens with different
+// lifetimes; a restart signs everyone out.
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class TokenStore {
+    constructor({ ttlMs }) {
+        this.ttlMs = ttlMs;
+        this.entries = new Map();
+
+        setInterval(() => this.prune(), Math.min(ttlMs, 10 * 60 * 1000)).unref();
+    }
+
+    issue(data) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = Date.now() + this.ttlMs;
+        this.entries.set(hashToken(token), { ...data, expiresAt });
+        return { token, expiresAt };
+    }
+
+    // What the token was issued with, or null once it's unknown or expired
+    get(token) {
+        if (typeof token !== 'string' || !token) return null;
+
+        const entry = this.entries.get(hashToken(token));
+        return entry && entry.expiresAt > Date.now() ? entry : null;
+    }
+
+    // Like get(), for tokens that only work once
+    consume(token) {
+        const entry = this.get(token);
+        if (entry) this.revoke(token);
+        return entry;
+    }
+
+    revoke(token) {
+        if (typeof token === 'string') this.entries.delete(hashToken(token));
+    }
+
+    prune() {
+        const now = Date.now();
+        this.entries.forEach((entry, key) => {
+            if (entry.expiresAt <= now) this.entries.delete(key);
+        });
+    }
+}
+
+// Delivery of the sign-in links. Real providers (SMTP, SES...) plug in here.
+const MAILERS = {
+    // Local stand-in for tests and development: messages go to outbox.log,
+    // one JSON line each, where the link can be copied from
+    outbox: {
+        send: async (message, { dataDir }) => {
+            const entry = { at: new Date().toISOString(), ...message };
+            await fs.promises.appendFile(path.join(dataDir, 'outbox.log'), `${JSON.stringify(entry)}\n`);
+            console.log(`Email to ${message.to} written to outbox.log`);
+        }
+    }
+};
+
+// The email uses the visitor's language, from the same catalogs as the page
+const EMAIL_CATALOGS = Object.fromEntries(LOCALES
+    .filter(locale => locale !== DEFAULT_LOCALE)
+    .map(locale => [locale, require(`./locales/${locale}.json`)]));
+
+const composeLoginEmail = ({ client, link, locale, minutes }) => {
+    const t = createTranslator(locale, EMAIL_CATALOGS[locale] || messages);
+    return {
+        to: client.email,
+        subject: t('client.email.subject'),
+        text: t('client.email.body', { name: client.name, link, minutes })
+    };
+};
+
+const SESSION_COOKIE = 'pieruccini_session';
+
+const parseCookies = (req) => {
+    const cookies = {};
+    (req.headers.cookie || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index > 0) cookies[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+    });
+    return cookies;
+};
+
+// HttpOnly keeps it away from scripts; the API is the only place that reads it
+const sessionCookie = (token, maxAge, { publicUrl }) => [
+    `${SESSION_COOKIE}=${token}`,
+    'Path=/api',
+    'HttpOnly',
+    'SameSite=Strict',
+    `Max-Age=${maxAge}`,
+    ...(publicUrl.startsWith('https:') ? ['Secure'] : [])
+].join('; ');
+
+// ============= ABUSE PROTECTION =============
+// Sliding window of request timestamps per client
+class RateLimiter {
+    constructor({ max, windowMs }) {
+        this.max = max;
+        this.windowMs = windowMs;
+        this.hits = new Map();
+
+        // Forget idle clients so the map doesn't grow forever
+        setInterval(() => this.prune(), windowMs).unref();
+    }
+
+    recent(key, now = Date.now()) {
+        return (this.hits.get(key) || []).filter(time => now - time < this.windowMs);
+    }
+
+    // Records a hit and reports whether the client is over the limit
+    hit(key) {
+        const now = Date.now();
+        const hits = this.recent(key, now);
+        hits.push(now);
+        this.hits.set(key, hits);
+
+        return {
+            count: hits.length,
+            limited: hits.length > this.max,
+            retryAfter: Math.ceil((hits[0] + this.windowMs - now) / 1000)
+        };
+    }
+
+    prune() {
+        this.hits.forEach((hits, key) => {
+            if (this.recent(key).length === 0) this.hits.delete(key);
+        });
+    }
+}
+
+// Server side of the challenge shown after suspicious signals. Real providers
+// (Turnstile, hCaptcha...) plug in here with the matching one in script.js.
+const CHALLENGE_VERIFIERS = {
+    // Local stand-in for tests and development: accepts the stub's fixed token
+    stub: {
+        verify: async (token) => token === 'stub-token'
+    }
+};
+
+// One JSON line per rejected submission, for reviewing false positives
+const createRejectionLog = (dir) => {
+    const file = path.join(dir, 'rejections.log');
+
+    return (req, reason, details = {}) => {
+        const entry = { at: new Date().toISOString(), reason, ip: getClientIp(req), ...details };
+        console.warn(`Lead rejected (${reason}) from ${entry.ip}`);
+        fs.promises.appendFile(file, `${JSON.stringify(entry)}\n`).catch(error => {
+            console.error('Failed to log rejection:', error);
+        });
+    };
+};
+
+const getClientIp = (req) => {
+    const forwarded = ABUSE_CONFIG.trustProxy && req.headers['x-forwarded-for'];
+    return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+};
+
+// ============= HTTP HELPERS =============
+const sendJson = (res, status, body) => {
+    res.writeHead(status, {
+        'Content-Type': MIME_TYPES['.json'],
+        'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body));
+};
+
+// Past the limit the rest of the body is drained, not kept: destroying the
+// request would reset the connection before the 413 reached the browser
+const readBody = (req, maxSize) => new Promise((resolve, reject) => {
+    const tooLarge = () => Object.assign(new Error('Payload too large'), { status: 413, code: 'payload_too_large' });
+
+    if (Number(req.headers['content-length']) > maxSize) {
+        req.resume();
+        reject(tooLarge());
+        return;
+    }
+
+    let size = 0;
+    let chunks = [];
+
+    req.on('data', chunk => {
+        if (!chunks) return;
+        size += chunk.length;
+        if (size > maxSize) {
+            chunks = null;
+            reject(tooLarge());
+            return;
+        }
+        chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+        if (chunks) resolve(Buffer.concat(chunks));
+    });
+    req.on('error', reject);
+});
+
+const readJsonBody = async (req) => {
+    const content = await readBody(req, MAX_BODY_SIZE);
+
+    try {
+        const body = JSON.parse(content.toString('utf8') || '{}');
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw new Error('Body must be a JSON object');
+        }
+        return body;
+    } catch (error) {
+        throw Object.assign(error, { status: 400, code: 'invalid_json' });
+    }
+};
+
+const isPublicFile = (relative) => {
+    const [first, ...rest] = relative.split(path.sep);
+    if (rest.length === 0) return PUBLIC_FILES.includes(first);
+    // No dotfiles inside the public directories either
+    return PUBLIC_DIRS.includes(first) && !rest.some(part => part.startsWith('.'));
+};
+
+const serveStatic = (req, res, { dataDir, clientArea }, { pathname }) => {
+
+    let requested;
+    try {
+        requested = pathname === '/' ? '/index.html' : decodeURIComponent(pathname);
+    } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Bad request');
+        return;
+    }
+
+    const filePath = path.normalize(path.join(ROOT_DIR, requested));
+    const privateDirs = [dataDir, clientArea.policyDataDir].map(dir => path.resolve(dir) + path.sep);
+
+    // Only the public files, and never the data directories even when they sit among them
+    if (!filePath.startsWith(ROOT_DIR + path.sep) ||
+        !isPublicFile(path.relative(ROOT_DIR, filePath)) ||
+        privateDirs.some(dir => filePath.startsWith(dir))) {
+        res.writeHead(403);
+        res.end('Forbidden');
+        return;
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Not found');
+            return;
+        }
+
+        const type = MIME_TYPES[path.extname(filePath)] || 'application/octet-stream';
+        res.writeHead(200, { 'Content-Type': type });
+        res.end(content);
+    });
+};
+
+// ============= ROUTES =============
+// Answers 429 and returns null once the client is over the limit
+const applyRateLimit = (req, res, { limiter, logRejection }) => {
+    const rate = limiter.hit(getClientIp(req));
+    if (rate.limited) {
+        logRejection(req, 'rate_limited', { count: rate.count });
+        res.setHeader('Retry-After', rate.retryAfter);
+        sendJson(res, 429, { error: 'rate_limited', retryAfter: rate.retryAfter });
+        return null;
+    }
+    return rate;
+};
+
+const handleLeadSubmission = async (req, res, context) => {
+    const { stores, logRejection, config } = context;
+    const rate = applyRateLimit(req, res, { ...context, limiter: context.leadLimiter });
+    if (!rate) return;
+
+    let payload;
+    try {
+        payload = await readJsonBody(req);
+    } catch (error) {
+        sendJson(res, error.status || 400, { error: error.code || 'bad_request' });
+        return;
+    }
+
+    // Humans never see the honeypot field, so anything in it came from a bot
+    if (payload.website) {
+        logRejection(req, 'honeypot');
+        sendJson(res, 403, { error: 'rejected' });
+        return;
+    }
+
+    const { lead, errors } = validateLead(payload);
+    if (Object.keys(errors).length > 0) {
+        sendJson(res, 422, { error: 'validation_failed', fields: errors });
+        return;
+    }
+
+    // Filled in too fast (or without the script that times it), or a client
+    // close to the rate limit: ask for a challenge before accepting
+    const elapsed = Number(payload.elapsed);
+    const signals = [];
+    if (!Number.isFinite(elapsed)) signals.push('no_timing');
+    else if (elapsed < config.minFillTimeMs) signals.push('too_fast');
+    if (rate.count > Math.ceil(config.rateLimitMax / 2)) signals.push('frequent');
+
+    if (signals.length > 0) {
+        const verifier = CHALLENGE_VERIFIERS[config.challengeProvider];
+
+        if (!payload.challengeToken) {
+            sendJson(res, 428, {
+                error: 'challenge_required',
+                challenge: { provider: config.challengeProvider }
+            });
+            return;
+        }
+
+        if (!verifier || !(await verifier.verify(payload.challengeToken, req))) {
+            logRejection(req, 'challenge_failed', { signals });
+            sendJson(res, 403, { error: 'rejected' });
+            return;
+        }
+    }
+
+    try {
+        const { record, created } = await stores.leads.add(lead);
+        if (created) {
+            console.log(`Lead ${record.id} stored (${record.subject})`);
+        }
+        sendJson(res, created ? 201 : 200, { id: record.id });
+    } catch (error) {
+        console.error('Failed to store lead:', error);
+        sendJson(res, 500, { error: 'storage_failed' });
+    }
+};
+
+// Photos come one per request as a raw JPEG, so the browser can show the
+// progress of each; the claim itself then lists the ids handed out here
+const handleClaimPhoto = async (req, res, context) => {
+    const { photos } = context;
+    if (!applyRateLimit(req, res, { ...context, limiter: context.photoLimiter })) return;
+
+    // "image/jpeg; charset=binary" and "Image/JPEG" are still JPEG
+    const mediaType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (mediaType !== 'image/jpeg') {
+        sendJson(res, 415, { error: 'unsupported_media_type' });
+        return;
+    }
+
+    let content;
+    try {
+        content = await readBody(req, MAX_PHOTO_SIZE);
+    } catch (error) {
+        sendJson(res, error.status || 400, { error: error.code || 'bad_request' });
+        return;
+    }
+
+    // The browser always re-encodes to JPEG, so anything else isn't ours
+    if (content.length < 4 || content.readUInt16BE(0) !== 0xFFD8) {
+        sendJson(res, 422, { error: 'validation_failed', fields: { photos: 'invalid' } });
+        return;
+    }
+
+    try {
+        const id = await photos.save(content);
+        sendJson(res, 201, { id });
+    } catch (error) {
+        console.error('Failed to store claim photo:', error);
+        sendJson(res, 500, { error: 'storage_failed' });
+    }
+};
+
+// The 24h line calls back about these; the protocol is what the visitor quotes
+const handleClaimSubmission = async (req, res, context) => {
+    const { stores, photos, logRejection } = context;
+    if (!applyRateLimit(req, res, { ...context, limiter: context.claimLimiter })) return;
+
+    let payload;
+    try {
+        payload = await readJsonBody(req);
+    } catch (error) {
+        sendJson(res, error.status || 400, { error: error.code || 'bad_request' });
+        return;
+    }
+
+    if (payload.website) {
+        logRejection(req, 'honeypot');
+        sendJson(res, 403, { error: 'rejected' });
+        return;
+    }
+
+    const { claim, errors } = validateClaim(payload);
+    if (!errors.photos) {
+        const uploaded = await Promise.all(claim.photos.map(id => photos.exists(id)));
+        if (uploaded.includes(false)) errors.photos = 'invalid';
+    }
+    if (Object.keys(errors).length > 0) {
+        sendJson(res, 422, { error: 'validation_failed', fields: errors });
+        return;
+    }
+
+    try {
+        const { record, created } = await stores.claims.add({ ...claim, status: 'open' });
+        const protocol = record.id.slice(0, 8).toUpperCase();
+
+        if (created) {
+            console.log(`Claim ${protocol} stored (${record.incidentType}, ${record.photos.length} photos)`);
+        }
+        sendJson(res, created ? 201 : 200, { id: record.id, protocol });
+    } catch (error) {
+        console.error('Failed to store claim:', error);
+        sendJson(res, 500, { error: 'storage_failed' });
+    }
+};
+
+// The office answers these by email; the matching leads are listed so nobody
+// has to search for them by hand
+const handlePrivacyRequest = async (req, res, context) => {
+    const { stores, logRejection } = context;
+    if (!applyRateLimit(req, res, { ...context, limiter: context.privacyLimiter })) return;
+
+    let payload;
+    try {
+        payload = await readJsonBody(req);
+    } catch (error) {
+        sendJson(res, error.status || 400, { error: error.code || 'bad_request' });
+        return;
+    }
+
+    if (payload.website) {
+        logRejection(req, 'honeypot');
+        sendJson(res, 403, { error: 'rejected' });
+        return;
+    }
+
+    const errors = {};
+    const request = applyRules(PRIVACY_REQUEST_RULES, payload, errors);
+    if (Object.keys(errors).length > 0) {
+        sendJson(res, 422, { error: 'validation_failed', fields: errors });
+        return;
+    }
+
+    try {
+        const email = request.email.toLowerCase();
+        const leads = await stores.leads.readAll();
+        const dueAt = new Date(Date.now() + PRIVACY_RESPONSE_DAYS * 24 * 60 * 60 * 1000);
+
+        const { record, created } = await stores.privacyRequests.add({
+            ...request,
+            status: 'pending',
+            dueAt: dueAt.toISOString(),
+            leadIds: leads.filter(lead => lead.email.toLowerCase() === email).map(lead => lead.id)
+        });
+        const protocol = record.id.slice(0, 8).toUpperCase();
+
+        if (created) {
+            console.log(`Privacy request ${protocol} stored (${record.type}, ${record.leadIds.length} leads)`);
+        }
+        sendJson(res, created ? 201 : 200, { id: record.id, protocol, dueAt: record.dueAt });
+    } catch (error) {
+        console.error('Failed to store privacy request:', error);
+        sendJson(res, 500, { error: 'storage_failed' });
+    }
+};
+
+// Only reached after the visitor opted in to analytics. Malformed events are
+// skipped instead of failing the batch, and no IP address is stored with them.
+const handleAnalyticsEvents = async (req, res, context) => {
+    const { logEvents } = context;
+    if (!applyRateLimit(req, res, { ...context, limiter: context.eventLimiter })) return;
+
+    let payload;
+    try {
+        payload = await readJsonBody(req);
+    } catch (error) {
+        sendJson(res, error.status || 400, { error: error.code || 'bad_request' });
+        return;
+    }
+
+    if (!Array.isArray(payload.events) || payload.events.length > MAX_EVENTS_PER_BATCH) {
+        sendJson(res, 422, { error: 'validation_failed', fields: { events: 'invalid' } });
+        return;
+    }
+
+    const events = payload.events.map(validateEvent).filter(Boolean);
+
+    try {
+        if (events.length > 0) await logEvents(events);
+        sendJson(res, 202, { accepted: events.length });
+    } catch (error) {
+        console.error('Failed to store analytics events:', error);
+        sendJson(res, 500, { error: 'storage_failed' });
+    }
+};
+
+// Sent with sendBeacon as the page is hidden, so nobody reads the response;
+// like analytics events, only with consent and without the IP address
+const handleWebVitals = async (req, res, context) => {
+    const { logVitals } = context;
+    if (!applyRateLimit(req, res, { ...context, limiter: context.eventLimiter })) return;
+
+    let payload;
+    try {
+        payload = await readJsonBody(req);
+    } catch (error) {
+        sendJson(res, error.status || 400, { error: error.code || 'bad_request' });
+        return;
+    }
+
+    if (!Array.isArray(payload.metrics) || payload.metrics.length > VITAL_NAMES.length) {
+        sendJson(res, 422, { error: 'validation_failed', fields: { metrics: 'invalid' } });
+        return;
+    }
+
+    const metrics = payload.metrics.map(validateVital).filter(Boolean);
+
+    try {
+        if (metrics.length > 0) await logVitals(metrics);
+        sendJson(res, 202, { accepted: metrics.length });
+    } catch (error) {
+        console.error('Failed to store web vitals:', error);
+        sendJson(res, 500, { error: 'storage_failed' });
+    }
+};
+
+// One report per request; ErrorMonitor already drops repeats and caps how
+// many a page view sends. No IP address is stored with them either.
+const handleClientError = async (req, res, context) => {
+    const { logErrors } = context;
+    if (!applyRateLimit(req, res, { ...context, limiter: context.eventLimiter })) return;
+
+    let payload;
+    try {
+        payload = await readJsonBody(req);
+    } catch (error) {
+        sendJson(res, error.status || 400, { error: error.code || 'bad_request' });
+        return;
+    }
+
+    const report = validateErrorReport(payload);
+    if (!report) {
+        sendJson(res, 422, { error: 'validation_failed' });
+        return;
+    }
+
+    try {
+        await logErrors([report]);
+        console.warn(`Client error on ${report.url || '/'}: ${report.name}: ${report.message}`);
+        sendJson(res, 202, { id: report.id });
+    } catch (error) {
+        console.error('Failed to store client error:', error);
+        sendJson(res, 500, { error: 'storage_failed' });
+    }
+};
+
+// ============= CLIENT AREA ROUTES =============
+// Answers the same whether or not the address belongs to a client, so the
+// form can't be used to find out who is one
+const handleLoginLinkRequest = async (req, res, context) => {
+    const { policies, loginTokens, loginLimiter, mailer, clientArea, logRejection } = context;
+    if (!applyRateLimit(req, res, { ...context, limiter: context.authLimiter })) return;
+
+    let payload;
+    try {
+        payload = await readJsonBody(req);
+    } catch (error) {
+        sendJson(res, error.status || 400, { error: error.code || 'bad_request' });
+        return;
+    }
+
+    if (payload.website) {
+        logRejection(req, 'honeypot');
+        sendJson(res, 403, { error: 'rejected' });
+        return;
+    }
+
+    const errors = {};
+    const { email, locale } = applyRules(LOGIN_RULES, payload, errors);
+    if (Object.keys(errors).length > 0) {
+        sendJson(res, 422, { error: 'validation_failed', fields: errors });
+        return;
+    }
+
+    // Also limited per address, so nobody can flood a client's inbox
+    if (loginLimiter.hit(email.toLowerCase()).limited) {
+        sendJson(res, 202, { sent: true });
+        return;
+    }
+
+    try {
+        const client = await policies.findClientByEmail(email);
+        if (client) {
+            const { token } = loginTokens.issue({ clientId: client.id });
+            // In the hash, the token never reaches server logs or Referer headers
+            const link = `${clientArea.publicUrl}/#area-do-cliente?token=${token}`;
+            const minutes = Math.round(clientArea.loginTokenTtlMs / 60000);
+            await mailer.send(composeLoginEmail({ client, link, locale: locale || DEFAULT_LOCALE, minutes }), context);
+        }
+        sendJson(res, 202, { sent: true });
+    } catch (error) {
+        console.error('Failed to send sign-in link:', error);
+        sendJson(res, 500, { error: 'mail_failed' });
+    }
+};
+
+// Trades a sign-in link token for a session cookie
+const handleSessionStart = async (req, res, context) => {
+    const { policies, loginTokens, sessions, clientArea } = context;
+    if (!applyRateLimit(req, res, { ...context, limiter: context.authLimiter })) return;
+
+    let payload;
+    try {
+        payload = await readJsonBody(req);
+    } catch (error) {
+        sendJson(res, error.status || 400, { error: error.code || 'bad_request' });
+        return;
+    }
+
+    try {
+        const login = loginTokens.consume(payload.token);
+        const client = login && await policies.findClient(login.clientId);
+        if (!client) {
+            sendJson(res, 401, { error: 'invalid_token' });
+            return;
+        }
+
+        const { token, expiresAt } = sessions.issue({ clientId: client.id });
+        res.setHeader('Set-Cookie', sessionCookie(token, Math.floor(clientArea.sessionTtlMs / 1000), clientArea));
+        sendJson(res, 201, { expiresAt: new Date(expiresAt).toISOString() });
+    } catch (error) {
+        console.error('Failed to start session:', error);
+        sendJson(res, 500, { error: 'storage_failed' });
+    }
+};
+
+const handleLogout = (req, res, { sessions, clientArea }) => {
+    sessions.revoke(parseCookies(req)[SESSION_COOKIE]);
+    res.setHeader('Set-Cookie', sessionCookie('', 0, clientArea));
+    sendJson(res, 200, { signedOut: true });
+};
+
+// The signed-in client, or null after answering 401
+const requireSession = async (req, res, { sessions, policies }) => {
+    const session = sessions.get(parseCookies(req)[SESSION_COOKIE]);
+    const client = session && await policies.findClient(session.clientId);
+    if (!client) {
+        sendJson(res, 401, { error: 'unauthorized' });
+        return null;
+    }
+    return { client, expiresAt: session.expiresAt };
+};
+
+// Only what the page shows; documents go through the session-checked route
+const toPublicPolicy = (policy) => ({
+    id: policy.id,
+    number: policy.number,
+    insurer: policy.insurer,
+    product: policy.product,
+    description: policy.description,
+    startDate: policy.startDate,
+    endDate: policy.endDate,
+    documents: (policy.documents || []).map(({ id, title }) => ({
+        id,
+        title,
+        url: `/api/client/document?id=${encodeURIComponent(id)}`
+    }))
+});
+
+const handleClientPolicies = async (req, res, context) => {
+    try {
+        const session = await requireSession(req, res, context);
+        if (!session) return;
+
+        const { client } = session;
+        const policies = await context.policies.listPolicies(client.id);
+        sendJson(res, 200, {
+            client: { name: client.name, email: client.email },
+            expiresAt: new Date(session.expiresAt).toISOString(),
+            policies: policies.map(toPublicPolicy)
+        });
+    } catch (error) {
+        console.error('Failed to read policies:', error);
+        sendJson(res, 500, { error: 'storage_failed' });
+    }
+};
+
+const handlePolicyDocument = async (req, res, context, url) => {
+    try {
+        const session = await requireSession(req, res, context);
+        if (!session) return;
+
+        const id = url.searchParams.get('id');
+        const document = (await context.policies.listPolicies(session.client.id))
+            .flatMap(policy => policy.documents || [])
+            .find(item => item.id === id);
+        if (!document) {
+            sendJson(res, 404, { error: 'not_found' });
+            return;
+        }
+
+        const content = await fs.promises.readFile(context.policies.documentPath(document));
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES['.pdf'],
+            'Content-Disposition': `attachment; filename="${path.basename(document.file)}"`,
+            'Cache-Control': 'private, no-store'
+        });
+        res.end(content);
+    } catch (error) {
+        console.error('Failed to read policy document:', error);
+        sendJson(res, error.code === 'ENOENT' ? 404 : 500, { error: error.code === 'ENOENT' ? 'not_found' : 'storage_failed' });
+    }
+};
+
+// A renewal quote is an ordinary lead prefilled from the policy. Asking again
+// for the same policy term returns the lead already stored.
+const handleRenewalRequest = async (req, res, context) => {
+    const { stores, policies } = context;
+
+    let payload;
+    try {
+        payload = await readJsonBody(req);
+    } catch (error) {
+        sendJson(res, error.status || 400, { error: error.code || 'bad_request' });
+        return;
+    }
+
+    try {
+        const session = await requireSession(req, res, context);
+        if (!session) return;
+
+        const { client } = session;
+        const policy = (await policies.listPolicies(client.id)).find(item => item.id === payload.policyId);
+        if (!policy) {
+            sendJson(res, 404, { error: 'not_found' });
+            return;
+        }
+
+        const { record, created } = await stores.leads.add({
+            name: client.name,
+            email: client.email,
+            phone: client.phone,
+            document: client.document,
+            subject: policy.product,
+            message: `Renovação da apólice ${policy.number} (${policy.insurer}), vigente até ${policy.endDate}`,
+            source: 'client_area',
+            renewal: { policyId: policy.id, number: policy.number, insurer: policy.insurer, endDate: policy.endDate },
+            clientId: `renewal-${policy.id}-${policy.endDate}`
+        });
+        if (created) {
+            console.log(`Lead ${record.id} stored (renewal of ${policy.number})`);
+        }
+        sendJson(res, created ? 201 : 200, { id: record.id });
+    } catch (error) {
+        console.error('Failed to store renewal lead:', error);
+        sendJson(res, 500, { error: 'storage_failed' });
+    }
+};
+
+const ROUTES = {
+    '/api/leads': handleLeadSubmission,
+    '/api/claims': handleClaimSubmission,
+    '/api/claims/photos': handleClaimPhoto,
+    '/api/privacy-requests': handlePrivacyRequest,
+    '/api/events': handleAnalyticsEvents,
+    '/api/vitals': handleWebVitals,
+    '/api/errors': handleClientError,
+    '/api/auth/login-link': handleLoginLinkRequest,
+    '/api/auth/session': handleSessionStart,
+    '/api/auth/logout': handleLogout,
+    '/api/client/renewal': handleRenewalRequest
+};
+
+// GET routes, all behind the client area session
+const READ_ROUTES = {
+    '/api/client/policies': handleClientPolicies,
+    '/api/client/document': handlePolicyDocument
+};
+
+const createServer = (options = {}) => {
+    const dataDir = options.dataDir || DATA_DIR;
+    const config = { ...ABUSE_CONFIG, ...options.abuse };
+    const clientArea = { ...CLIENT_AREA_CONFIG, ...options.clientArea };
+    const mailer = MAILERS[clientArea.mailer];
+    if (!mailer) throw new Error(`Unknown mailer "${clientArea.mailer}"`);
+    if (!config.challengeProvider) throw new Error('CHALLENGE_PROVIDER must be set in production');
+    if (!CHALLENGE_VERIFIERS[config.challengeProvider]) {
+        throw new Error(`Unknown challenge provider "${config.challengeProvider}"`);
+    }
+
+    const context = {
+        stores: {
+            leads: new JsonStore(dataDir, 'leads.json'),
+            privacyRequests: new JsonStore(dataDir, 'privacy-requests.json'),
+            claims: new JsonStore(dataDir, 'claims.json')
+        },
+        photos: createPhotoStore(dataDir),
+        policies: createPolicyStore(clientArea.policyDataDir),
+        loginTokens: new TokenStore({ ttlMs: clientArea.loginTokenTtlMs }),
+        sessions: new TokenStore({ ttlMs: clientArea.sessionTtlMs }),
+        // One budget per endpoint group, so hitting the limit on one form
+        // doesn't lock the visitor out of the others
+        leadLimiter: new RateLimiter({ max: config.rateLimitMax, windowMs: config.rateLimitWindowMs }),
+        claimLimiter: new RateLimiter({ max: config.rateLimitMax, windowMs: config.rateLimitWindowMs }),
+        privacyLimiter: new RateLimiter({ max: config.rateLimitMax, windowMs: config.rateLimitWindowMs }),
+        authLimiter: new RateLimiter({ max: config.rateLimitMax, windowMs: config.rateLimitWindowMs }),
+        eventLimiter: new RateLimiter({ max: config.eventRateLimitMax, windowMs: config.rateLimitWindowMs }),
+        photoLimiter: new RateLimiter({ max: config.photoRateLimitMax, windowMs: config.rateLimitWindowMs }),
+        loginLimiter: new RateLimiter({ max: clientArea.loginLinkMax, windowMs: config.rateLimitWindowMs }),
+        logRejection: createRejectionLog(dataDir),
+        logEvents: createEventLog(dataDir),
+        logVitals: createEventLog(dataDir, 'vitals.log'),
+        logErrors: createEventLog(dataDir, 'errors.log'),
+        mailer,
+        dataDir,
+        clientArea,
+        config
+    };
+
+    // Handlers answer their own expected errors; anything that still escapes
+    // is logged and becomes a 500 instead of taking the process down
+    const run = (handler, req, res, url) => {
+        Promise.resolve()
+            .then(() => handler(req, res, context, url))
+            .catch(error => {
+                console.error(`Unhandled error in ${req.method} ${url.pathname}:`, error);
+                if (res.headersSent) {
+                    res.end();
+                } else {
+                    sendJson(res, 500, { error: 'internal_error' });
+                }
+            });
+    };
+
+    return http.createServer((req, res) => {
+        // A request target like "//[" isn't a URL at all
+        let url;
+        try {
+            url = new URL(req.url, 'http://localhost');
+        } catch (error) {
+            sendJson(res, 400, { error: 'bad_request' });
+            return;
+        }
+        const { pathname } = url;
+
+        const handler = ROUTES[pathname];
+
+        if (handler) {
+            if (req.method !== 'POST') {
+                res.setHeader('Allow', 'POST');
+                sendJson(res, 405, { error: 'method_not_allowed' });
+                return;
+            }
+            run(handler, req, res, url);
+            return;
+        }
+
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            if (READ_ROUTES[pathname]) res.setHeader('Allow', 'GET, HEAD');
+            sendJson(res, 405, { error: 'method_not_allowed' });
+            return;
+        }
+
+        if (READ_ROUTES[pathname]) {
+            run(READ_ROUTES[pathname], req, res, url);
+            return;
+        }
+
+        run(serveStatic, req, res, url);
+    });
+};
+
+// Start the server when run directly
+if (require.main === module) {
+    createServer().listen(PORT, () => {
+        console.log(`🚀 Pieruccini Seguros - http://localhost:${PORT}`);
+    });
+}
+
+module.exports = { createServer, validateLead, validateClaim, validateEvent, validateVital, validateErrorReport, JsonStore, RateLimiter, TokenStore, CHALLENGE_VERIFIERS, MAILERS };
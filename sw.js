@@ -0,0 +1,112 @@
+/* ===============================================
+   PIERUCCINI SEGUROS - Service Worker
+   Offline shell, stale-while-revalidate for static
+   assets and an offline page for everything else
+   =============================================== */
+
+// Bump on every deploy that changes a precached file: the new worker installs
+// next to the old one and the page offers to reload (ServiceWorkerManager)
+const VERSION = 'v9';
+const CACHE_PREFIX = 'pieruccini-';
+const CACHE_NAME = `${CACHE_PREFIX}${VERSION}`;
+const OFFLINE_PAGE = '/offline.html';
+
+const PRECACHE = [
+    '/',
+    '/index.html',
+    '/styles.css',
+    '/i18n.js',
+    '/validators.js',
+    '/estimator.js',
+    '/hours.js',
+    '/images.js',
+    '/whatsapp.js',
+    '/scroll.js',
+    '/script.js',
+    '/porto.png',
+    '/manifest.webmanifest',
+    '/assets/icon.svg',
+    '/assets/map-office.svg',
+    // Fetched by the page: translations, holidays, the estimator's rates and the catalog
+    '/locales/en.json',
+    '/locales/es.json',
+    '/hours.json',
+    '/rates.json',
+    '/products.json',
+    OFFLINE_PAGE
+];
+
+// ============= LIFECYCLE =============
+// No skipWaiting here: the new version only takes over once the visitor agrees
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// ============= STRATEGIES =============
+// Pages: the network first so content is never stale while online, then the
+// cached copy, then the offline page with our phone numbers
+const handleNavigation = async (request) => {
+    const cache = await caches.open(CACHE_NAME);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        return (await cache.match(request, { ignoreSearch: true })) || cache.match(OFFLINE_PAGE);
+    }
+};
+
+// Static assets: answer from the cache right away and refresh it in the background
+const staleWhileRevalidate = async (event) => {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(event.request);
+
+    const refresh = fetch(event.request)
+        .then(response => {
+            if (response.ok) cache.put(event.request, response.clone());
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    // Lead and privacy submissions handle being offline themselves (LeadQueue),
+    // and third-party requests like the fonts are left to the browser
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+        return;
+    }
+
+    event.respondWith(staleWhileRevalidate(event));
+});
@@ -0,0 +1,97 @@
+/* ===============================================
+   PIERUCCINI SEGUROS - Premium Estimator Tests
+   estimator.js against the real rates.json
+   Run with: node --test test/
+   =============================================== */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { estimatePremium } = require('../estimator');
+const RATE_TABLE = require('../rates.json');
+
+// Vehicle ages are counted from this date
+const NOW = new Date(2026, 5, 1);
+
+const estimate = (product, inputs) => estimatePremium(RATE_TABLE, product, inputs, NOW);
+
+test('rates.json: factor bands ascend and end in an open band', () => {
+    Object.values(RATE_TABLE.products).forEach(config => {
+        Object.values(config.factors).forEach(bands => {
+            const bounds = bands.slice(0, -1).map(band => band.upTo);
+            assert.deepEqual(bounds, [...bounds].sort((a, b) => a - b));
+            assert.equal(bands[bands.length - 1].upTo, null);
+        });
+    });
+});
+
+test('auto: base rate with the spread around it, rounded to the table step', () => {
+    // 50,000 x 4.2% / 12 = 175, vehicle age 3 has factor 1
+    assert.deepEqual(estimate('auto', { vehicleYear: 2023, vehicleValue: 50000 }), {
+        product: 'auto',
+        inputs: { vehicleYear: 2023, vehicleValue: 50000 },
+        monthly: 175,
+        min: 140,
+        max: 210,
+        rateTableVersion: RATE_TABLE.version
+    });
+});
+
+test('auto: vehicle age bands, upper bounds included', () => {
+    const monthly = (vehicleYear) => estimate('auto', { vehicleYear, vehicleValue: 50000 }).monthly;
+
+    assert.equal(monthly(2024), 165); // age 2: 175 x 0.95
+    assert.equal(monthly(2021), 175); // age 5: 175 x 1
+    assert.equal(monthly(2020), 195); // age 6: 175 x 1.1
+    assert.equal(monthly(2016), 195); // age 10: 175 x 1.1
+    assert.equal(monthly(2015), 230); // age 11: 175 x 1.3
+});
+
+test('auto: next year\'s model counts as new, anything later is rejected', () => {
+    assert.equal(estimate('auto', { vehicleYear: 2027, vehicleValue: 50000 }).monthly, 165);
+    assert.throws(() => estimate('auto', { vehicleYear: 2028, vehicleValue: 50000 }), RangeError);
+});
+
+test('life: age bands', () => {
+    const monthly = (age) => estimate('life', { age, coverageAmount: 500000 }).monthly;
+
+    // 500,000 x 0.24% / 12 = 100
+    assert.equal(monthly(30), 70);
+    assert.equal(monthly(31), 100);
+    assert.equal(monthly(45), 160);
+    assert.equal(monthly(60), 260);
+    assert.equal(monthly(61), 420);
+});
+
+test('minimum monthly premium', () => {
+    // 100,000 x 0.11% / 12 is about 9.17, below the minimum of 25
+    const home = estimate('home', { propertyValue: 100000 });
+    assert.equal(home.monthly, 25);
+    assert.equal(home.min, 20);
+    assert.equal(home.max, 30);
+
+    // 10,000 x 0.24% / 12 x 0.7 is 1.4, below the minimum of 20
+    assert.equal(estimate('life', { age: 25, coverageAmount: 10000 }).monthly, 20);
+});
+
+test('coverage limits are inclusive', () => {
+    assert.doesNotThrow(() => estimate('auto', { vehicleYear: 1980, vehicleValue: 5000 }));
+    assert.doesNotThrow(() => estimate('auto', { vehicleYear: 2020, vehicleValue: 2000000 }));
+    assert.doesNotThrow(() => estimate('life', { age: 80, coverageAmount: 10000000 }));
+
+    assert.throws(() => estimate('auto', { vehicleYear: 1979, vehicleValue: 50000 }), /vehicleYear=1979 is out of range/);
+    assert.throws(() => estimate('auto', { vehicleYear: 2020, vehicleValue: 4999 }), /vehicleValue=4999 is out of range/);
+    assert.throws(() => estimate('home', { propertyValue: 20000001 }), /propertyValue=20000001 is out of range/);
+    assert.throws(() => estimate('life', { age: 17, coverageAmount: 100000 }), /age=17 is out of range/);
+});
+
+test('numeric strings from the form are accepted', () => {
+    assert.equal(estimate('home', { propertyValue: '1200000' }).monthly, 110);
+});
+
+test('RangeError for unknown products and missing or non-numeric inputs', () => {
+    assert.throws(() => estimate('boat', { value: 1 }), { name: 'RangeError', message: 'Unknown product "boat"' });
+    assert.throws(() => estimate('home', {}), { name: 'RangeError', message: 'Missing propertyValue' });
+    assert.throws(() => estimate('home', { propertyValue: '' }), { name: 'RangeError', message: 'Missing propertyValue' });
+    assert.throws(() => estimate('home', { propertyValue: null }), { name: 'RangeError', message: 'Missing propertyValue' });
+    assert.throws(() => estimate('home', { propertyValue: 'abc' }), { name: 'RangeError', message: 'Missing propertyValue' });
+});
@@ -0,0 +1,140 @@
+/* ===============================================
+   PIERUCCINI SEGUROS - Mobile Menu Tests
+   Navigation in index.html on a phone-sized
+   viewport, run in jsdom and checked with axe
+   Run with: node --test test/
+   =============================================== */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const axe = require('axe-core');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// index.html with its scripts run in order, as on a phone: the mobile media
+// query matches and nothing reaches the network
+const loadPage = () => {
+    const html = fs.readFileSync(path.join(ROOT_DIR, 'index.html'), 'utf8');
+    const scripts = Array.from(html.matchAll(/<script src="([^"]+)"/g), match => match[1]);
+
+    const dom = new JSDOM(html.replace(/<script src="[^"]+"( defer)?><\/script>/g, ''), {
+        url: 'http://localhost:3000/',
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole: new VirtualConsole()
+    });
+    const { window } = dom;
+
+    window.matchMedia = (query) => ({
+        matches: query.includes('max-width: 768px'),
+        addEventListener() {},
+        addListener() {}
+    });
+    window.IntersectionObserver = class {
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+    };
+    window.scrollTo = () => {};
+    window.HTMLElement.prototype.scrollIntoView = () => {};
+    window.fetch = () => Promise.reject(new TypeError('offline'));
+
+    scripts.forEach(src => window.eval(fs.readFileSync(path.join(ROOT_DIR, src), 'utf8')));
+    window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+    window.eval(axe.source);
+    return window;
+};
+
+const pressKey = (window, key, options = {}) => {
+    const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+    (window.document.activeElement || window.document.body).dispatchEvent(event);
+    return event;
+};
+
+// Contrast can't be computed without layout, so that rule is left to the browser
+const checkNavbar = async (window) => {
+    const results = await window.axe.run(window.document.querySelector('.navbar'), {
+        rules: { 'color-contrast': { enabled: false } }
+    });
+    // Array.from: the results are arrays of the page's realm
+    return Array.from(results.violations, violation => `${violation.id}: ${violation.nodes.map(node => node.html).join(', ')}`);
+};
+
+test('mobile menu', async (t) => {
+    const window = loadPage();
+    const { document } = window;
+    const toggle = document.querySelector('.navbar__toggle');
+    const menu = document.getElementById(toggle.getAttribute('aria-controls'));
+    const links = Array.from(menu.querySelectorAll('a[href]'));
+    // The language picker comes after the links
+    const items = Array.from(menu.querySelectorAll('a[href], button, select'));
+    const lastItem = items[items.length - 1];
+    const outside = Array.from(document.body.children)
+        .filter(element => !element.classList.contains('navbar') && !element.hasAttribute('aria-live'));
+
+    await t.test('closed: no axe violations, nothing inert', async () => {
+        assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+        assert.deepEqual(await checkNavbar(window), []);
+        assert.ok(outside.every(element => !element.hasAttribute('inert')));
+    });
+
+    await t.test('opening moves focus to the first link and makes the rest of the page inert', () => {
+        toggle.focus();
+        toggle.click();
+
+        assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+        assert.ok(menu.classList.contains('navbar__menu--active'));
+        assert.equal(document.activeElement, links[0]);
+        assert.ok(outside.length > 0);
+        assert.ok(outside.every(element => element.hasAttribute('inert')));
+        assert.ok(!document.querySelector('.navbar').hasAttribute('inert'));
+        assert.ok(Array.from(document.querySelectorAll('body > [aria-live]')).every(element => !element.hasAttribute('inert')));
+    });
+
+    await t.test('open: no axe violations', async () => {
+        assert.deepEqual(await checkNavbar(window), []);
+    });
+
+    await t.test('Tab is trapped between the toggle and the menu items', () => {
+        lastItem.focus();
+        assert.ok(pressKey(window, 'Tab').defaultPrevented);
+        assert.equal(document.activeElement, toggle);
+
+        assert.ok(pressKey(window, 'Tab', { shiftKey: true }).defaultPrevented);
+        assert.equal(document.activeElement, lastItem);
+
+        // Focus that got outside anyway is brought back
+        document.body.focus();
+        pressKey(window, 'Tab');
+        assert.equal(document.activeElement, toggle);
+
+        // Within the menu the browser moves focus as usual
+        links[0].focus();
+        assert.ok(!pressKey(window, 'Tab').defaultPrevented);
+    });
+
+    await t.test('Escape closes the menu and returns focus to the toggle', () => {
+        links[1].focus();
+        pressKey(window, 'Escape');
+
+        assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+        assert.ok(!menu.classList.contains('navbar__menu--active'));
+        assert.equal(document.activeElement, toggle);
+        assert.ok(outside.every(element => !element.hasAttribute('inert')));
+    });
+
+    await t.test('the toggle closes it too, focus staying on the toggle', () => {
+        toggle.click();
+        assert.equal(document.activeElement, links[0]);
+
+        toggle.click();
+        assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+        assert.equal(document.activeElement, toggle);
+        assert.ok(!pressKey(window, 'Tab').defaultPrevented);
+    });
+
+    window.close();
+});
@@ -0,0 +1,121 @@
+/* ===============================================
+   PIERUCCINI SEGUROS - Server Tests
+   Requests that must get an answer without
+   taking the process down
+   Run with: node --test test/
+   =============================================== */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { createServer } = require('../server');
+
+// Written as-is to the socket, so request targets no client library would send get through
+const rawRequest = (port, head) => new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1', () => socket.write(head));
+    let response = '';
+    socket.on('data', chunk => {
+        response += chunk;
+    });
+    socket.on('end', () => resolve(response));
+    socket.on('error', reject);
+});
+
+const statusOf = (response) => Number(response.split(' ')[1]);
+
+test('server', async (t) => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pieruccini-'));
+    const server = createServer({ dataDir });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    const get = (target) => rawRequest(port, `GET ${target} HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n`);
+
+    await t.test('a request target that is not a URL gets a 400', async () => {
+        assert.equal(statusOf(await get('//[')), 400);
+        assert.equal(statusOf(await get('/')), 200);
+    });
+
+    await t.test('a malformed escape gets a 400', async () => {
+        assert.equal(statusOf(await get('/%E0%A4%A')), 400);
+    });
+
+    await t.test('only public files are served', async () => {
+        assert.equal(statusOf(await get('/styles.css')), 200);
+        assert.equal(statusOf(await get('/locales/en.json')), 200);
+        for (const target of ['/.git/config', '/requests.jsonl', '/server.js', '/fixtures/policies.json', '/package.json']) {
+            assert.equal(statusOf(await get(target)), 403, target);
+        }
+    });
+
+    await t.test('an oversized body gets the 413 as JSON', async () => {
+        const body = 'a'.repeat(20 * 1024);
+        const response = await rawRequest(port, [
+            'POST /api/leads HTTP/1.1',
+            'Host: localhost',
+            'Content-Type: application/json',
+            `Content-Length: ${body.length}`,
+            'Connection: close',
+            '',
+            body
+        ].join('\r\n'));
+
+        assert.equal(statusOf(response), 413);
+        assert.match(response, /"error":"payload_too_large"/);
+    });
+
+    await t.test('photo uploads accept media type parameters', async () => {
+        const jpeg = Buffer.from([0xFF, 0xD8, 0xFF, 0xD9]);
+        const upload = (contentType) => rawRequest(port, Buffer.concat([
+            Buffer.from([
+                'POST /api/claims/photos HTTP/1.1',
+                'Host: localhost',
+                `Content-Type: ${contentType}`,
+                `Content-Length: ${jpeg.length}`,
+                'Connection: close',
+                '',
+                ''
+            ].join('\r\n')),
+            jpeg
+        ]));
+
+        assert.equal(statusOf(await upload('image/jpeg')), 201);
+        assert.equal(statusOf(await upload('Image/JPEG; charset=binary')), 201);
+        assert.equal(statusOf(await upload('image/png')), 415);
+    });
+
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('refuses to start without a challenge provider', () => {
+    assert.throws(() => createServer({ abuse: { challengeProvider: null } }), /CHALLENGE_PROVIDER must be set/);
+    assert.throws(() => createServer({ abuse: { challengeProvider: 'nope' } }), /Unknown challenge provider "nope"/);
+});
+
+test('each endpoint group has its own rate limit', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pieruccini-'));
+    const server = createServer({ dataDir, abuse: { rateLimitMax: 1 } });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    const post = (target) => rawRequest(port, [
+        `POST ${target} HTTP/1.1`,
+        'Host: localhost',
+        'Content-Type: application/json',
+        'Content-Length: 2',
+        'Connection: close',
+        '',
+        '{}'
+    ].join('\r\n'));
+
+    assert.notEqual(statusOf(await post('/api/leads')), 429);
+    assert.equal(statusOf(await post('/api/leads')), 429);
+    for (const target of ['/api/claims', '/api/privacy-requests', '/api/auth/login-link']) {
+        assert.notEqual(statusOf(await post(target)), 429, target);
+    }
+
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
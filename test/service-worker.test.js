@@ -0,0 +1,70 @@
+/* ===============================================
+   PIERUCCINI SEGUROS - Service Worker Tests
+   When index.html registers sw.js, run in jsdom
+   with a stand-in for navigator.serviceWorker
+   Run with: node --test test/
+   =============================================== */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// jsdom has neither isSecureContext nor service workers, so both are set
+// here; returns the scripts passed to register() once the page has loaded
+const registeredOn = async (url, isSecureContext) => {
+    const html = fs.readFileSync(path.join(ROOT_DIR, 'index.html'), 'utf8');
+    const scripts = Array.from(html.matchAll(/<script src="([^"]+)"/g), match => match[1]);
+
+    const dom = new JSDOM(html.replace(/<script src="[^"]+"( defer)?><\/script>/g, ''), {
+        url,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole: new VirtualConsole()
+    });
+    const { window } = dom;
+    const registered = [];
+
+    window.matchMedia = () => ({ matches: false, addEventListener() {}, addListener() {} });
+    window.IntersectionObserver = class {
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+    };
+    window.scrollTo = () => {};
+    window.fetch = () => Promise.reject(new TypeError('offline'));
+    Object.defineProperty(window, 'isSecureContext', { value: isSecureContext });
+    Object.defineProperty(window.navigator, 'serviceWorker', {
+        value: {
+            controller: null,
+            addEventListener() {},
+            register: (script) => {
+                registered.push(script);
+                // Never settles: watching for updates isn't under test
+                return new Promise(() => {});
+            }
+        }
+    });
+
+    const loaded = new Promise(resolve => window.addEventListener('load', resolve));
+    scripts.forEach(src => window.eval(fs.readFileSync(path.join(ROOT_DIR, src), 'utf8')));
+    await loaded;
+    window.close();
+    return registered;
+};
+
+test('registers sw.js on localhost, which browsers treat as secure', async () => {
+    assert.deepEqual(await registeredOn('http://localhost:3000/', true), ['/sw.js']);
+    assert.deepEqual(await registeredOn('http://127.0.0.1:3000/', true), ['/sw.js']);
+});
+
+test('registers sw.js over HTTPS', async () => {
+    assert.deepEqual(await registeredOn('https://www.pierucciniseguros.com.br/', true), ['/sw.js']);
+});
+
+test('leaves insecure origins alone', async () => {
+    assert.deepEqual(await registeredOn('http://192.168.0.10:3000/', false), []);
+});
@@ -0,0 +1,26 @@
+/* ===============================================
+   PIERUCCINI SEGUROS - Web Vitals Validation Tests
+   What server.js accepts at /api/vitals
+   Run with: node --test test/
+   =============================================== */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateVital } = require('../server');
+
+const metric = (overrides) => ({ id: 'v4-1700000000000-123', name: 'CLS', value: 0.05, rating: 'good', path: '/', ...overrides });
+
+test('values are accepted as numbers, however they stringify', () => {
+    assert.equal(validateVital(metric({ value: 0.0000001 })).value, 0.0000001);
+    assert.equal(validateVital(metric({ value: 0 })).value, 0);
+    assert.equal(validateVital(metric({ name: 'LCP', value: 2500.5 })).value, 2500.5);
+    assert.equal(validateVital(metric({ value: '0.12' })).value, 0.12);
+});
+
+test('values outside the range or not numbers are rejected', () => {
+    assert.equal(validateVital(metric({ value: -0.1 })), null);
+    assert.equal(validateVital(metric({ name: 'INP', value: 10 * 60 * 1000 + 1 })), null);
+    assert.equal(validateVital(metric({ value: 'fast' })), null);
+    assert.equal(validateVital(metric({ value: '' })), null);
+    assert.equal(validateVital(metric({ value: Infinity })), null);
+});
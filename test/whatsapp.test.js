@@ -0,0 +1,82 @@
+/* ===============================================
+   PIERUCCINI SEGUROS - WhatsApp Handoff Tests
+   Message text and chat URL encoding
+   Run with: node --test test/
+   =============================================== */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { composeMessage, buildChatUrl, MAX_MESSAGE_LENGTH } = require('../whatsapp');
+
+// What WhatsApp reads back from the URL
+const decodeText = (url) => decodeURIComponent(url.split('text=')[1]);
+
+test('paragraphs are joined by a blank line, details become "Label: value" lines', () => {
+    const message = composeMessage({
+        paragraphs: ['Olá!', '', null, 'Vim pela página de seguros.'],
+        detailsTitle: 'Meus dados:',
+        details: [['Nome', 'Ana'], ['Telefone', ''], ['Produto', 'Seguro auto']]
+    });
+
+    assert.equal(message, 'Olá!\n\nVim pela página de seguros.\n\nMeus dados:\nNome: Ana\nProduto: Seguro auto');
+});
+
+test('whitespace inside a value collapses to single spaces', () => {
+    assert.equal(composeMessage({ details: [['Mensagem', '  linha 1\n\n linha\t2 ']] }), 'Mensagem: linha 1 linha 2');
+});
+
+test('accents, emoji and line breaks survive the URL', () => {
+    const text = 'Olá, gostaria de uma cotação 🚗\nSeguro de vida: sim ✅';
+    const url = buildChatUrl({ phone: '5548999823453', text });
+
+    assert.match(url, /^https:\/\/wa\.me\/5548999823453\?text=/);
+    assert.match(url, /%0A/);
+    assert.equal(decodeText(url), text);
+});
+
+test('"+" is encoded and spaces never become "+"', () => {
+    const url = buildChatUrl({ phone: '5548999823453', text: 'Telefone +55 48 9999-0000' });
+
+    assert.match(url, /%2B55%2048/);
+    assert.equal(decodeText(url), 'Telefone +55 48 9999-0000');
+});
+
+test('each platform gets its own URL, the phone reduced to digits', () => {
+    const options = { phone: '+55 (48) 99982-3453', text: 'Oi' };
+
+    assert.equal(buildChatUrl(options), 'https://wa.me/5548999823453?text=Oi');
+    assert.equal(buildChatUrl({ ...options, platform: 'app' }), 'whatsapp://send?phone=5548999823453&text=Oi');
+    assert.equal(buildChatUrl({ ...options, platform: 'web' }), 'https://web.whatsapp.com/send?phone=5548999823453&text=Oi');
+    assert.throws(() => buildChatUrl({ ...options, platform: 'fax' }), RangeError);
+    assert.throws(() => buildChatUrl({ phone: '', text: 'Oi' }), RangeError);
+});
+
+test('long values are cut at 300 characters with an ellipsis', () => {
+    const [paragraph] = composeMessage({ paragraphs: ['a'.repeat(400)] }).split('\n\n');
+
+    assert.equal(paragraph.length, 300);
+    assert.ok(paragraph.endsWith('a…'));
+    assert.equal(composeMessage({ paragraphs: ['a'.repeat(300)] }), 'a'.repeat(300));
+});
+
+test('cutting never splits an emoji, so the URL can still be built', () => {
+    const message = composeMessage({ paragraphs: ['a'.repeat(299) + '😀😀'] });
+
+    assert.equal(Array.from(message).length, 300);
+    assert.ok(message.endsWith('a…'));
+    assert.doesNotThrow(() => buildChatUrl({ phone: '5548999823453', text: message }));
+
+    // Exactly at the limit, counted in characters rather than UTF-16 units
+    assert.equal(composeMessage({ paragraphs: ['a'.repeat(298) + '😀😀'] }), 'a'.repeat(298) + '😀😀');
+});
+
+test('the whole message is capped, also without splitting an emoji', () => {
+    const message = composeMessage({
+        paragraphs: Array.from({ length: 10 }, () => '😀'.repeat(300))
+    });
+    const chars = Array.from(message);
+
+    assert.equal(chars.length, MAX_MESSAGE_LENGTH);
+    assert.equal(chars[chars.length - 1], '…');
+    assert.doesNotThrow(() => buildChatUrl({ phone: '5548999823453', text: message }));
+});
@@ -0,0 +1,166 @@
+/* ===============================================
+   PIERUCCINI SEGUROS - Validators & Masks
+   Brazilian document, address and contact formats
+   Shared by script.js (browser) and server.js (Node)
+   =============================================== */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PierucciniValidators = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // ============= HELPERS =============
+    const onlyDigits = (value) => String(value).replace(/\D/g, '');
+    const onlyAlphanumeric = (value) => String(value).toUpperCase().replace(/[^0-9A-Z]/g, '');
+
+    // Fill a pattern like "###.###.###-##" as far as the typed characters go,
+    // so separators only appear once there's something after them
+    const formatPattern = (chars, pattern) => {
+        let result = '';
+        let index = 0;
+
+        for (const token of pattern) {
+            if (index >= chars.length) break;
+            result += token === '#' ? chars[index++] : token;
+        }
+
+        return result;
+    };
+
+    // Check digit value of a CPF/CNPJ character; letters are only valid in the
+    // alphanumeric CNPJ (in force since July 2026) and count as ASCII - 48
+    const charValue = (char) => char.charCodeAt(0) - 48;
+
+    // ============= DOCUMENTS =============
+    const isValidCpf = (value) => {
+        const digits = onlyDigits(value);
+        if (digits.length !== 11 || /^(\d)\1{10}$/.test(digits)) return false;
+
+        const checkDigit = (length) => {
+            let sum = 0;
+            for (let i = 0; i < length; i++) {
+                sum += Number(digits[i]) * (length + 1 - i);
+            }
+            const rest = (sum * 10) % 11;
+            return rest === 10 ? 0 : rest;
+        };
+
+        return checkDigit(9) === Number(digits[9]) && checkDigit(10) === Number(digits[10]);
+    };
+
+    const isValidCnpj = (value) => {
+        const chars = onlyAlphanumeric(value);
+        if (!/^[0-9A-Z]{12}\d{2}$/.test(chars) || /^(\d)\1{13}$/.test(chars)) return false;
+
+        const checkDigit = (length) => {
+            let sum = 0;
+            let weight = length - 7; // Weights cycle 9..2 from the right
+            for (let i = 0; i < length; i++) {
+                sum += charValue(chars[i]) * weight;
+                weight = weight === 2 ? 9 : weight - 1;
+            }
+            const rest = sum % 11;
+            return rest < 2 ? 0 : 11 - rest;
+        };
+
+        return checkDigit(12) === Number(chars[12]) && checkDigit(13) === Number(chars[13]);
+    };
+
+    // ============= PHONES =============
+    // Toll-free and shared-cost numbers: 0800 123 4567
+    const isNonGeographic = (digits) => /^0[3589]00/.test(digits);
+
+    // Brazilian digits without country code or long-distance prefix, so pasted
+    // "+55 48 3225-6114" or "048 3225-6114" become "4832256114"
+    const brazilianPhoneDigits = (value) => {
+        let digits = onlyDigits(value);
+
+        if (/^\s*\+\s*55/.test(value) || (digits.startsWith('55') && digits.length > 11)) {
+            digits = digits.slice(2);
+        }
+
+        // Wait for four digits before deciding a leading 0 isn't the start of 0800
+        if (digits.startsWith('0') && digits.length >= 4 && !isNonGeographic(digits)) {
+            digits = digits.replace(/^0+/, '');
+        }
+
+        return digits;
+    };
+
+    // A CPF is 11 digits; anything longer, or with letters, is treated as a CNPJ
+    const looksLikeCnpj = (value) => {
+        const chars = onlyAlphanumeric(value);
+        return chars.length > 11 || /[A-Z]/.test(chars);
+    };
+
+    // ============= VALIDATORS =============
+    // Each validator receives a trimmed, non-empty value and returns a boolean.
+    // Fields opt in with data-validate="<name>".
+    const validators = {
+        email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+        // Mobile (48) 99982-3453, landline (48) 3225-6114 or 0800 123 4567
+        phone: (value) => (
+            /^\([1-9]{2}\) (9\d{4}|[2-5]\d{3})-\d{4}$/.test(value) ||
+            /^0[3589]00 \d{3} \d{4}$/.test(value)
+        ),
+        // Number without country code, as written in the country of origin
+        intlPhone: (value) => /^[\d\s()-]+$/.test(value) && /^\d{6,14}$/.test(onlyDigits(value)),
+        cpf: isValidCpf,
+        cnpj: isValidCnpj,
+        cpfCnpj: (value) => looksLikeCnpj(value) ? isValidCnpj(value) : isValidCpf(value),
+        cep: (value) => /^\d{5}-?\d{3}$/.test(value),
+        // Old format (ABC-1234) and Mercosul (ABC1D23)
+        plate: (value) => /^[A-Z]{3}-?\d{4}$/i.test(value) || /^[A-Z]{3}\d[A-Z]\d{2}$/i.test(value),
+        // Each insurer has its own layout, like 0531.12.345678-9; only the
+        // characters and length are checked
+        policy: (value) => /^[A-Z0-9][A-Z0-9./-]*$/i.test(value) && /^(?=.*\d)[A-Z0-9]{6,20}$/.test(onlyAlphanumeric(value))
+    };
+
+    // ============= MASKS =============
+    // Each mask receives the raw input value and returns it formatted.
+    // Fields opt in with data-mask="<name>".
+    const masks = {
+        phone: (value) => {
+            const digits = brazilianPhoneDigits(value);
+
+            if (isNonGeographic(digits)) {
+                return formatPattern(digits.slice(0, 11), '#### ### ####');
+            }
+
+            // A 9 right after the area code means an 11-digit mobile number
+            if (digits[2] === '9') {
+                return formatPattern(digits.slice(0, 11), '(##) #####-####');
+            }
+            return formatPattern(digits.slice(0, 10), '(##) ####-####');
+        },
+        intlPhone: (value) => {
+            let digits = 0;
+
+            // Keep the visitor's own grouping, just drop letters and cap at 14 digits
+            return String(value)
+                .replace(/[^\d\s()-]/g, '')
+                .replace(/\s{2,}/g, ' ')
+                .split('')
+                .filter(char => !/\d/.test(char) || ++digits <= 14)
+                .join('');
+        },
+        cpf: (value) => formatPattern(onlyDigits(value).slice(0, 11), '###.###.###-##'),
+        cnpj: (value) => formatPattern(onlyAlphanumeric(value).slice(0, 14), '##.###.###/####-##'),
+        cpfCnpj: (value) => looksLikeCnpj(value) ? masks.cnpj(value) : masks.cpf(value),
+        cep: (value) => formatPattern(onlyDigits(value).slice(0, 8), '#####-###'),
+        plate: (value) => {
+            const chars = onlyAlphanumeric(value).slice(0, 7);
+
+            // Only the old all-digits format gets the hyphen
+            if (chars.length > 3 && /^[A-Z]{3}\d+$/.test(chars)) {
+                return `${chars.slice(0, 3)}-${chars.slice(3)}`;
+            }
+            return chars;
+        },
+        policy: (value) => String(value).toUpperCase().replace(/[^0-9A-Z./-]/g, '').slice(0, 24)
+    };
+
+    return { validators, masks, onlyDigits };
+});
@@ -0,0 +1,95 @@
+/* ===============================================
+   PIERUCCINI SEGUROS - Web Vitals Report
+   Aggregates the metrics server.js collected at
+   /api/vitals into percentiles and ratings
+   Run with: node vitals.js (reads vitals.log from
+   DATA_DIR, or the file given as the first argument;
+   --path breaks the report down by page)
+   =============================================== */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const METRICS = ['LCP', 'INP', 'CLS', 'FCP', 'TTFB'];
+const PERCENTILES = [50, 75, 95];
+const RATINGS = ['good', 'needs-improvement', 'poor'];
+
+// A page view sends a metric again when it changes, the last value is the one that counts
+const readRecords = (file) => {
+    const latest = new Map();
+
+    fs.readFileSync(file, 'utf8').split('\n').forEach(line => {
+        if (!line.trim()) return;
+        try {
+            const record = JSON.parse(line);
+            latest.set(`${record.id}:${record.name}`, record);
+        } catch (error) {
+            // A line cut short by a crash, skip it
+        }
+    });
+
+    return Array.from(latest.values());
+};
+
+// Nearest-rank percentile of sorted values
+const percentile = (sorted, p) => sorted[Math.max(Math.ceil((p / 100) * sorted.length) - 1, 0)];
+
+// The element or interaction behind most of a metric's poor values
+const topAttribution = (records) => {
+    const counts = new Map();
+    records.forEach(({ rating, attribution = {} }) => {
+        const key = attribution.element || attribution.url;
+        if (rating !== 'poor' || !key) return;
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+
+    const [top] = Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+    return top ? `${top[0]} (${top[1]})` : '';
+};
+
+const summarize = (records) => METRICS
+    .map(name => {
+        const matching = records.filter(record => record.name === name);
+        if (matching.length === 0) return null;
+
+        const sorted = matching.map(record => record.value).sort((a, b) => a - b);
+        const summary = { metric: name, samples: matching.length };
+        PERCENTILES.forEach(p => {
+            summary[`p${p}`] = percentile(sorted, p);
+        });
+        RATINGS.forEach(rating => {
+            const share = matching.filter(record => record.rating === rating).length / matching.length;
+            summary[rating] = `${Math.round(share * 100)}%`;
+        });
+        summary.worst = topAttribution(matching);
+        return summary;
+    })
+    .filter(Boolean);
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const file = args.find(arg => !arg.startsWith('--')) || path.join(DATA_DIR, 'vitals.log');
+
+    let records;
+    try {
+        records = readRecords(file);
+    } catch (error) {
+        console.error(`Can't read ${file}: ${error.message}`);
+        process.exit(1);
+    }
+
+    if (records.length === 0) {
+        console.log(`No metrics in ${file} yet`);
+    } else if (args.includes('--path')) {
+        const paths = Array.from(new Set(records.map(record => record.path || '/')));
+        paths.forEach(page => {
+            console.log(page);
+            console.table(summarize(records.filter(record => (record.path || '/') === page)));
+        });
+    } else {
+        console.table(summarize(records));
+    }
+}
+
+module.exports = { readRecords, percentile, summarize };
@@ -0,0 +1,76 @@
+/* ===============================================
+   PIERUCCINI SEGUROS - WhatsApp Handoff
+   Prefilled message text and chat URLs for the
+   office number; the page context is gathered
+   by WhatsAppHandoff in script.js
+   =============================================== */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PierucciniWhatsApp = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Long texts get cut by some clients (and by URL length limits), so every
+    // value and the whole message are capped
+    const MAX_VALUE_LENGTH = 300;
+    const MAX_MESSAGE_LENGTH = 1500;
+
+    // Cut by code points, not UTF-16 units: half an emoji is a lone surrogate,
+    // which encodeURIComponent refuses to encode
+    const truncate = (text, max) => {
+        const chars = Array.from(text);
+        return chars.length > max ? `${chars.slice(0, max - 1).join('').trimEnd()}…` : text;
+    };
+
+    const clean = (value, max) => truncate(String(value).replace(/\s+/g, ' ').trim(), max);
+
+    // ============= MESSAGE =============
+    // Paragraphs are joined by a blank line, details become "Label: value"
+    // lines; empty parts are skipped
+    const composeMessage = ({ paragraphs = [], detailsTitle = '', details = [] }) => {
+        const lines = details
+            .filter(([label, value]) => label && value !== undefined && value !== null && String(value).trim() !== '')
+            .map(([label, value]) => `${clean(label, 60)}: ${clean(value, MAX_VALUE_LENGTH)}`);
+
+        const blocks = paragraphs.filter(Boolean).map(text => clean(text, MAX_VALUE_LENGTH));
+        if (lines.length > 0) {
+            blocks.push([detailsTitle, ...lines].filter(Boolean).join('\n'));
+        }
+
+        return truncate(blocks.join('\n\n'), MAX_MESSAGE_LENGTH);
+    };
+
+    // ============= URLS =============
+    // app: opens the installed app straight away (phones)
+    // web: WhatsApp Web, skipping the wa.me landing page (desktops)
+    // universal: wa.me, works everywhere and is what the markup links to
+    const URL_BUILDERS = {
+        app: (phone, query) => `whatsapp://send?phone=${phone}&${query}`,
+        web: (phone, query) => `https://web.whatsapp.com/send?phone=${phone}&${query}`,
+        universal: (phone, query) => `https://wa.me/${phone}?${query}`
+    };
+
+    // encodeURIComponent keeps accents, emoji and line breaks intact; "+" would
+    // be read as a space by WhatsApp, so it's never used for spaces
+    const buildChatUrl = ({ phone, text = '', platform = 'universal' }) => {
+        const builder = URL_BUILDERS[platform];
+        if (!builder) throw new RangeError(`Unknown WhatsApp platform "${platform}"`);
+
+        const digits = String(phone).replace(/\D/g, '');
+        if (!digits) throw new RangeError('Missing WhatsApp phone number');
+
+        return builder(digits, `text=${encodeURIComponent(text)}`);
+    };
+
+    // Phones and tablets get the app scheme, everything else WhatsApp Web
+    const detectPlatform = ({ userAgent = '', maxTouchPoints = 0 } = {}) => {
+        const isMobile = /Android|iPhone|iPad|iPod|Mobile/i.test(userAgent) ||
+            // iPadOS reports itself as a Mac
+            (/Macintosh/.test(userAgent) && maxTouchPoints > 1);
+        return isMobile ? 'app' : 'web';
+    };
+
+    return { composeMessage, buildChatUrl, detectPlatform, MAX_MESSAGE_LENGTH };
+});